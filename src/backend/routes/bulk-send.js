@@ -0,0 +1,88 @@
+import express from 'express';
+import fs from 'fs';
+import BulkSendManager from '../services/BulkSendManager.js';
+import { acceptUploads, removeUploads } from './helpers.js';
+
+const router = express.Router();
+const bulkSendManager = new BulkSendManager();
+
+// The CSV and base document are written to temporary files, limited to the configured upload size
+const acceptBulkSendUploads = acceptUploads(
+  bulkSendManager.transactionManager.apiClient.configManager,
+  upload => upload.fields([{ name: 'csv', maxCount: 1 }, { name: 'document', maxCount: 1 }])
+);
+
+/**
+ * POST /api/bulk-send
+ * Start a bulk send job: one package per CSV row, each with the same base document
+ * 
+ * Multipart form:
+ * - csv - CSV file with a header row; "email" and "name" (or "firstName"/"lastName") are required,
+ *   "company" is optional and any other column is a merge field
+ * - document - Base document sent to every recipient
+ * - packageName - Package name, may contain {{column}} placeholders (default: "{{name}} - Signature Request")
+ * - emailMessage - Email message, may contain {{column}} placeholders
+ * - concurrency - Packages created at the same time (1-10, default: 3)
+ * - page, left, top, width, height - Signature field position
+ */
+router.post('/', acceptBulkSendUploads, (req, res) => {
+  const csvFile = req.files && req.files.csv && req.files.csv[0];
+  const document = req.files && req.files.document && req.files.document[0];
+
+  if (!csvFile || !document) {
+    removeUploads(req);
+    return res.status(400).json({ error: 'Both a CSV file and a base document are required' });
+  }
+
+  const { packageName, emailMessage, concurrency, page, left, top, width, height } = req.body;
+
+  try {
+    const job = bulkSendManager.startBulkSend({
+      csv: fs.readFileSync(csvFile.path, 'utf8'),
+      document,
+      packageName,
+      emailMessage,
+      concurrency,
+      // The base document is read from its temporary file for every package
+      onFinish: () => removeUploads(req),
+      fieldOptions: {
+        ...(page && { page: parseInt(page, 10) }),
+        ...(left && { left: parseInt(left, 10) }),
+        ...(top && { top: parseInt(top, 10) }),
+        ...(width && { width: parseInt(width, 10) }),
+        ...(height && { height: parseInt(height, 10) })
+      }
+    });
+
+    res.status(202).json({ job });
+  } catch (error) {
+    // Only validation of the upload happens before the job starts
+    console.error('Error starting bulk send:', error);
+    removeUploads(req);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/bulk-send
+ * List bulk send jobs, newest first
+ */
+router.get('/', (req, res) => {
+  res.json({ jobs: bulkSendManager.listJobs() });
+});
+
+/**
+ * GET /api/bulk-send/:jobId
+ * Get a bulk send job with per-row results and created package IDs
+ */
+router.get('/:jobId', (req, res) => {
+  const job = bulkSendManager.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: `Bulk send job ${req.params.jobId} not found` });
+  }
+
+  res.json({ job });
+});
+
+export default router;
@@ -0,0 +1,272 @@
+import express from 'express';
+import CallbackManager from '../services/CallbackManager.js';
+import CallbackSimulator from '../services/CallbackSimulator.js';
+import {
+  CALLBACK_EVENTS,
+  DOCUMENT_EVENTS,
+  redactCallbackSecrets,
+  SIGNER_EVENTS,
+  validateCallbackEvent,
+  validateCallbackRegistration
+} from '../services/CallbackEvents.js';
+import { sendError } from './helpers.js';
+
+const router = express.Router();
+const callbackManager = new CallbackManager();
+const callbackSimulator = new CallbackSimulator(callbackManager.transactionManager);
+
+/**
+ * Register or update the account's callback registration
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} update - Replace the existing registration
+ */
+async function saveRegistration(req, res, update) {
+  try {
+    let registration;
+    try {
+      registration = callbackManager.prepareRegistration(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const problem = validateCallbackRegistration(registration);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const saved = await callbackManager.saveRegistration(registration, { update });
+    res.status(update ? 200 : 201).json({ registration: redactCallbackSecrets(saved) });
+  } catch (error) {
+    console.error('Error saving callback registration:', error);
+    sendError(res, error, 'Failed to save callback registration');
+  }
+}
+
+/**
+ * GET /api/callback/registration
+ * Returns the account's callback registration, or null if there is none.
+ * The callback key and OAuth client secret are redacted.
+ */
+router.get('/registration', async (req, res) => {
+  try {
+    const registration = await callbackManager.getRegistration();
+    res.json({ registration: redactCallbackSecrets(registration) });
+  } catch (error) {
+    console.error('Error retrieving callback registration:', error);
+    sendError(res, error, 'Failed to retrieve callback registration');
+  }
+});
+
+/**
+ * POST /api/callback/registration
+ * Registers the account's callback subscription
+ * 
+ * Body:
+ * - url - Callback URL, defaults to the configured callbackUrl
+ * - events - Event names, defaults to the standard set
+ * - authType - NO_AUTH (default), BASIC or OAUTH2
+ * - key - Callback key, required for BASIC
+ * - authentication - { clientId, clientSecret, authenticationServer, scope }, required for OAUTH2
+ */
+router.post('/registration', (req, res) => saveRegistration(req, res, false));
+
+/**
+ * PUT /api/callback/registration
+ * Replaces the account's callback subscription. Takes the same body as POST.
+ * An empty or redacted key or client secret keeps the saved one.
+ */
+router.put('/registration', (req, res) => saveRegistration(req, res, true));
+
+/**
+ * DELETE /api/callback/registration
+ * Removes the account's callback subscription
+ */
+router.delete('/registration', async (req, res) => {
+  try {
+    await callbackManager.removeRegistration();
+    res.json({ success: true, message: 'Callback registration removed' });
+  } catch (error) {
+    console.error('Error removing callback registration:', error);
+    sendError(res, error, 'Failed to remove callback registration');
+  }
+});
+
+/**
+ * GET /api/callback/simulations
+ * Returns where simulated callbacks are delivered, the events that can be
+ * simulated and the deliveries made so far, newest first
+ */
+router.get('/simulations', (req, res) => {
+  try {
+    const { url, authType, events } = callbackSimulator.getTarget();
+    res.json({
+      target: { url, authType, events },
+      events: Object.entries(CALLBACK_EVENTS).map(([name, { label }]) => ({
+        name,
+        label,
+        signer: SIGNER_EVENTS.includes(name),
+        document: DOCUMENT_EVENTS.includes(name)
+      })),
+      deliveries: callbackSimulator.listDeliveries()
+    });
+  } catch (error) {
+    console.error('Error listing simulated callbacks:', error);
+    res.status(500).json({ error: 'Failed to list simulated callbacks' });
+  }
+});
+
+/**
+ * POST /api/callback/simulations
+ * Builds the payload Conga Sign would send for an event on a tracked
+ * transaction, signs it as the registered authType would and posts it to the
+ * callback URL. Responds with the delivery, including the target's status and body.
+ * 
+ * Body:
+ * - transactionId - Transaction to raise the event for
+ * - name - Event name, such as SIGNER_COMPLETE
+ * - roleId - Signer who triggers the event (signer events; defaults to the first signer)
+ * - documentId - Document of the event (document events; defaults to the first document)
+ * - message - Event message, such as the reason for declining
+ */
+router.post('/simulations', async (req, res) => {
+  try {
+    const { transactionId, name, roleId, documentId, message } = req.body;
+
+    if (!transactionId) {
+      return res.status(400).json({ error: 'Transaction ID is required' });
+    }
+    if (!CALLBACK_EVENTS[name]) {
+      return res.status(400).json({ error: `Unknown callback event: ${name}` });
+    }
+    if (!callbackSimulator.getTarget().url) {
+      return res.status(400).json({ error: 'Set a callback URL or register callbacks on the Config page first' });
+    }
+
+    const delivery = await callbackSimulator.simulate({ transactionId, name, roleId, documentId, message });
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Error simulating callback:', error);
+    sendError(res, error, 'Failed to simulate callback');
+  }
+});
+
+/**
+ * DELETE /api/callback/simulations
+ * Deletes the simulated deliveries
+ */
+router.delete('/simulations', (req, res) => {
+  try {
+    callbackSimulator.clearDeliveries();
+    res.json({ success: true, message: 'Simulated callbacks cleared' });
+  } catch (error) {
+    console.error('Error clearing simulated callbacks:', error);
+    res.status(500).json({ error: 'Failed to clear simulated callbacks' });
+  }
+});
+
+/**
+ * POST /api/callback/token
+ * OAuth 2.0 token endpoint (client credentials grant) for OAUTH2 callback
+ * registrations. Use it as the registration's authentication server so the
+ * sandbox can check the bearer tokens Conga Sign sends with callbacks.
+ *
+ * Body (form encoded): grant_type=client_credentials, client_id, client_secret.
+ * The client can also authenticate with an HTTP Basic Authorization header.
+ */
+router.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+  try {
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const basic = /^Basic\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (basic) {
+      const [id, ...secret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+      clientId = decodeURIComponent(id);
+      clientSecret = decodeURIComponent(secret.join(':'));
+    }
+
+    if (req.body.grant_type !== 'client_credentials') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    const token = callbackManager.issueToken({ clientId, clientSecret });
+    if (!token) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    res.set('Cache-Control', 'no-store').json(token);
+  } catch (error) {
+    console.error('Error issuing callback token:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * POST /api/callback
+ * Receives a callback event from Conga Sign. Point the account's callback URL here.
+ * When the saved registration uses BASIC or OAUTH2 authentication, callbacks
+ * without the matching Authorization header are rejected with 401.
+ * 
+ * Body (as sent by Conga Sign):
+ * - name - Event name, such as PACKAGE_COMPLETE or SIGNER_COMPLETE
+ * - packageId - Package the event belongs to
+ * - sessionUser - Role of the signer who triggered the event, if any
+ * - documentId - Document the event belongs to, if any
+ * - message - Event message, such as the reason for declining
+ * - createdDate - When the event happened
+ */
+router.post('/', (req, res) => {
+  try {
+    const authProblem = callbackManager.checkAuthorization(req.get('authorization'));
+    if (authProblem) {
+      return res.status(401).json({ error: authProblem });
+    }
+
+    const problem = validateCallbackEvent(req.body);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const event = callbackManager.receiveEvent(req.body);
+    res.json({ received: true, event });
+  } catch (error) {
+    console.error('Error receiving callback:', error);
+    res.status(500).json({ error: `Failed to receive callback: ${error.message}` });
+  }
+});
+
+/**
+ * GET /api/callback
+ * Lists received callback events, newest first
+ * 
+ * Query parameters:
+ * - packageId - Only events for this package
+ * - name - Only events with this name
+ * - limit=N - Maximum number of events
+ */
+router.get('/', (req, res) => {
+  try {
+    const { packageId, name } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    const events = callbackManager.listEvents({ packageId, name, limit });
+    res.json({ events, count: events.length });
+  } catch (error) {
+    console.error('Error listing callback events:', error);
+    res.status(500).json({ error: 'Failed to list callback events' });
+  }
+});
+
+/**
+ * DELETE /api/callback
+ * Deletes every received callback event
+ */
+router.delete('/', (req, res) => {
+  try {
+    callbackManager.clearEvents();
+    res.json({ success: true, message: 'Callback events cleared' });
+  } catch (error) {
+    console.error('Error clearing callback events:', error);
+    res.status(500).json({ error: 'Failed to clear callback events' });
+  }
+});
+
+export default router;
@@ -1,12 +1,17 @@
 import express from 'express';
-import ConfigManager from '../services/ConfigManager.js';
+import fs from 'fs';
+import ConfigManager, { validateEnvironment, validateProfileName } from '../services/ConfigManager.js';
+import { getTransactionsFilePath } from '../services/TransactionManager.js';
+import { getCallbacksFilePath } from '../services/CallbackManager.js';
+import { sendError } from './helpers.js';
 
 const router = express.Router();
 const configManager = new ConfigManager();
 
 /**
  * GET /api/config
- * Returns the current configuration (without sensitive data)
+ * Returns the current configuration (without sensitive data), with where each
+ * overridable value came from: env, dotenv, config or default
  */
 router.get('/', (req, res) => {
   try {
@@ -14,7 +19,10 @@ router.get('/', (req, res) => {
     res.json({
       config,
       initialized: configManager.isInitialized(),
-      regionUrls: configManager.getRegionUrls()
+      regionUrls: configManager.getRegionUrls(),
+      profiles: configManager.listProfiles(),
+      sources: configManager.getConfigSources(),
+      dataDir: configManager.dataDir
     });
   } catch (error) {
     console.error('Error retrieving config:', error);
@@ -31,8 +39,14 @@ router.put('/', (req, res) => {
     const newConfig = req.body;
     
     // Validate region if provided
-    if (newConfig.region && !['us', 'eu', 'au'].includes(newConfig.region)) {
-      return res.status(400).json({ error: 'Invalid region. Must be us, eu, or au' });
+    const regions = configManager.getAvailableRegions();
+    if (newConfig.region && !regions.includes(newConfig.region)) {
+      return res.status(400).json({ error: `Invalid region. Must be one of: ${regions.join(', ')}` });
+    }
+
+    if (newConfig.uploadLimitMb !== undefined &&
+      !(Number.isInteger(newConfig.uploadLimitMb) && newConfig.uploadLimitMb > 0)) {
+      return res.status(400).json({ error: 'Upload limit must be a positive whole number of megabytes' });
     }
     
     const success = configManager.updateConfig(newConfig);
@@ -122,6 +136,152 @@ router.post('/reset', (req, res) => {
   }
 });
 
+/**
+ * GET /api/config/profiles
+ * Lists the configuration profiles, without their secrets
+ */
+router.get('/profiles', (req, res) => {
+  try {
+    res.json({
+      profiles: configManager.listProfiles(),
+      activeProfile: configManager.getActiveProfile()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list profiles');
+  }
+});
+
+/**
+ * POST /api/config/profiles
+ * Creates a profile, empty or copied from another one
+ *
+ * Body parameters:
+ * - name - Profile name (lowercase letters, digits, "-" and "_")
+ * - copyFrom - Profile to copy the region, credentials and callback URL from (optional)
+ */
+router.post('/profiles', (req, res) => {
+  const { name, copyFrom } = req.body;
+
+  const nameError = validateProfileName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (configManager.listProfiles().some(profile => profile.name === name)) {
+    return res.status(409).json({ error: `Profile "${name}" already exists` });
+  }
+
+  try {
+    const profile = configManager.createProfile(name, { copyFrom });
+    res.status(201).json({ profile, profiles: configManager.listProfiles() });
+  } catch (error) {
+    sendError(res, error, 'Failed to create profile');
+  }
+});
+
+/**
+ * PUT /api/config/profiles/active
+ * Switches to another profile. Its credentials, token and transactions are
+ * used from the next request on.
+ *
+ * Body parameters:
+ * - name - Profile name
+ */
+router.put('/profiles/active', (req, res) => {
+  try {
+    const config = configManager.switchProfile(req.body.name);
+    res.json({
+      success: true,
+      config,
+      initialized: configManager.isInitialized(),
+      regionUrls: configManager.getRegionUrls(),
+      profiles: configManager.listProfiles()
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to switch profile');
+  }
+});
+
+/**
+ * DELETE /api/config/profiles/:name
+ * Deletes a profile that is not active, along with its transactions and received callbacks
+ */
+router.delete('/profiles/:name', (req, res) => {
+  const { name } = req.params;
+
+  if (name === configManager.getActiveProfile()) {
+    return res.status(409).json({ error: `Profile "${name}" is active; switch to another profile before deleting it` });
+  }
+
+  try {
+    configManager.deleteProfile(name);
+    fs.rmSync(getTransactionsFilePath(name), { force: true });
+    fs.rmSync(getCallbacksFilePath(name), { force: true });
+    res.json({ success: true, profiles: configManager.listProfiles() });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete profile');
+  }
+});
+
+/**
+ * GET /api/config/environments
+ * Lists the built-in regions and the user-defined environments
+ */
+router.get('/environments', (req, res) => {
+  try {
+    res.json({ environments: configManager.listEnvironments() });
+  } catch (error) {
+    sendError(res, error, 'Failed to list environments');
+  }
+});
+
+/**
+ * PUT /api/config/environments/:name
+ * Adds or replaces a user-defined environment, selected like a region
+ *
+ * Body parameters:
+ * - baseUrl, authUrl, coreappsUrl - Conga Sign hosts
+ * - apiPrefix - Path of the API on the coreapps host (optional, default /api/sign/v1)
+ * - proxyUrl - HTTP proxy to send requests through (optional)
+ * - caCertificates - PEM certificates to trust besides the built-in ones (optional)
+ */
+router.put('/environments/:name', (req, res) => {
+  const { name } = req.params;
+
+  const validationError = validateEnvironment(name, req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const environment = configManager.saveEnvironment(name, req.body);
+    res.json({ environment, environments: configManager.listEnvironments() });
+  } catch (error) {
+    sendError(res, error, 'Failed to save environment');
+  }
+});
+
+/**
+ * DELETE /api/config/environments/:name
+ * Deletes a user-defined environment that no profile uses
+ */
+router.delete('/environments/:name', (req, res) => {
+  const { name } = req.params;
+
+  const users = configManager.listProfiles().filter(profile => profile.region === name);
+  if (users.length > 0) {
+    return res.status(409).json({
+      error: `Environment "${name}" is used by profile ${users.map(profile => `"${profile.name}"`).join(', ')}`
+    });
+  }
+
+  try {
+    configManager.deleteEnvironment(name);
+    res.json({ success: true, environments: configManager.listEnvironments() });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete environment');
+  }
+});
+
 /**
  * GET /api/config/regions
  * Returns the available regions and their URL configurations
@@ -129,7 +289,7 @@ router.post('/reset', (req, res) => {
 router.get('/regions', (req, res) => {
   try {
     res.json({
-      regions: ['us', 'eu', 'au'],
+      regions: configManager.getAvailableRegions(),
       currentRegion: configManager.getConfig().region,
       urls: configManager.getRegionUrls()
     });
@@ -0,0 +1,145 @@
+import multer from 'multer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CongaApiError from '../services/CongaApiError.js';
+import NotFoundError from '../services/NotFoundError.js';
+import PackageBuildError from '../services/PackageBuildError.js';
+import TransactionStateError from '../services/TransactionStateError.js';
+
+/**
+ * Helpers shared by the sandbox API routers
+ */
+
+// Upstream statuses that are passed straight through to the sandbox client.
+// Any other Conga API failure is reported as 502 Bad Gateway.
+const PASSTHROUGH_STATUSES = [400, 404, 409, 422];
+
+/**
+ * Get the sandbox status code for a Conga API failure
+ * @param {CongaApiError} error - The failure
+ * @returns {number} HTTP status
+ */
+function getUpstreamStatus(error) {
+  return PASSTHROUGH_STATUSES.includes(error.status) ? error.status : 502;
+}
+
+/**
+ * Send an error response, mapping Conga API failures onto sandbox status codes
+ * @param {Object} res - Express response
+ * @param {Error} error - The error to report
+ * @param {string} failureMessage - Description of the failed operation
+ */
+export function sendError(res, error, failureMessage) {
+  if (error instanceof PackageBuildError) {
+    const cause = error.cause;
+    let status = 500;
+    if (error.step === 'validate') {
+      status = 400;
+    } else if (cause instanceof CongaApiError) {
+      status = getUpstreamStatus(cause);
+    } else if (cause instanceof NotFoundError) {
+      status = 404;
+    }
+
+    const details = error.toJSON();
+    delete details.message;
+
+    return res.status(status).json({
+      error: `${failureMessage}: ${error.message}`,
+      ...details,
+      ...(cause instanceof CongaApiError && { code: cause.code, upstream: cause.toJSON() })
+    });
+  }
+
+  if (error instanceof TransactionStateError) {
+    const details = error.toJSON();
+    delete details.message;
+
+    return res.status(409).json({ error: `${failureMessage}: ${error.message}`, ...details });
+  }
+
+  if (error instanceof CongaApiError) {
+    return res.status(getUpstreamStatus(error)).json({
+      error: `${failureMessage}: ${error.message}`,
+      code: error.code,
+      upstream: error.toJSON()
+    });
+  }
+
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  res.status(500).json({ error: `${failureMessage}: ${error.message}` });
+}
+
+// Uploaded documents are written to temporary files and streamed to Conga Sign
+// from there, so large documents are never held in memory
+const UPLOAD_DIR = path.join(os.tmpdir(), 'conga-sandbox-uploads');
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+const storage = multer.diskStorage({ destination: UPLOAD_DIR });
+
+/**
+ * Accept file uploads, limited to the configured upload size.
+ * If the request has an uploadId query parameter and uploadProgress is given, its progress is tracked.
+ * @param {ConfigManager} configManager - Provides the upload limit
+ * @param {Function} accept - Picks the multer middleware, e.g. upload => upload.single('file')
+ * @param {UploadProgress} [uploadProgress] - Tracks upload progress
+ * @returns {Function} Express middleware
+ */
+export function acceptUploads(configManager, accept, uploadProgress = null) {
+  return (req, res, next) => {
+    const limit = configManager.getUploadLimitBytes();
+    const upload = multer({ storage, limits: { fileSize: limit } });
+
+    const uploadId = uploadProgress && req.query.uploadId;
+    if (uploadId) {
+      uploadProgress.start(uploadId, {
+        transactionId: req.params.id || null,
+        totalBytes: parseInt(req.headers['content-length'], 10) || null
+      });
+      req.on('data', chunk => uploadProgress.receive(uploadId, chunk.length));
+      // A client that goes away mid-upload may never reach the error handler below
+      req.on('close', () => {
+        if (!req.complete) {
+          uploadProgress.finish(uploadId, new Error('The connection closed before the upload was received'));
+        }
+      });
+    }
+
+    accept(upload)(req, res, error => {
+      if (!error) {
+        return next();
+      }
+
+      if (uploadId) {
+        uploadProgress.finish(uploadId, error);
+      }
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `File is larger than the ${limit / (1024 * 1024)} MB upload limit` });
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: `Invalid upload: ${error.message}` });
+      }
+      next(error);
+    });
+  };
+}
+
+/**
+ * Delete the temporary files of an upload
+ * @param {Object} req - Express request
+ */
+export function removeUploads(req) {
+  let files = req.files || (req.file ? [req.file] : []);
+  if (!Array.isArray(files)) {
+    // upload.fields() groups the files by field name
+    files = Object.values(files).flat();
+  }
+  files.forEach(file => {
+    fs.promises.unlink(file.path).catch(error => {
+      console.error(`Error removing uploaded file ${file.path}:`, error);
+    });
+  });
+}
@@ -0,0 +1,270 @@
+import express from 'express';
+import multer from 'multer';
+import MockCongaStore, { MockCongaError } from '../services/MockCongaStore.js';
+
+/**
+ * Local mock of the Conga Sign service.
+ *
+ * Mounted at /mock-conga, it serves the same auth and /api/sign/v1 paths
+ * as the real coreapps host so that selecting the "mock" region lets every
+ * CongaApiClient call run without credentials or network access.
+ */
+const router = express.Router();
+const store = new MockCongaStore();
+
+// Path the real service serves its REST API under
+const API_PATH = '/api/sign/v1';
+
+// Keep uploaded documents in memory; they only live as long as the mock
+const upload = multer({ storage: multer.memoryStorage() });
+
+/**
+ * Send a store error as a Conga Sign style error response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the store
+ */
+function sendError(res, error) {
+  if (error instanceof MockCongaError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+
+  console.error('Mock Conga server error:', error);
+  res.status(500).json({
+    messageKey: 'error.internal',
+    message: error.message,
+    code: 500,
+    name: 'Internal Server Error'
+  });
+}
+
+/**
+ * Wrap a store call so thrown errors become error responses
+ * @param {Function} handler - Route handler returning the response body
+ * @param {number} status - Success status code
+ * @returns {Function} Express route handler
+ */
+function handle(handler, status = 200) {
+  return (req, res) => {
+    try {
+      const body = handler(req, res);
+      if (body === undefined) {
+        return res.status(204).end();
+      }
+      res.status(status).json(body);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Wrap a store call that returns a file so it is sent as a download
+ * @param {Function} handler - Route handler returning { filename, contentType, content }
+ * @returns {Function} Express route handler
+ */
+function handleFile(handler) {
+  return (req, res) => {
+    try {
+      const file = handler(req, res);
+      res.type(file.contentType);
+      res.attachment(file.filename);
+      res.send(file.content);
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * Public base URL of the mock server, used to build signing URLs
+ * @param {Object} req - Express request
+ * @returns {string} Base URL
+ */
+function getBaseUrl(req) {
+  const mountPath = req.baseUrl.endsWith(API_PATH)
+    ? req.baseUrl.slice(0, -API_PATH.length)
+    : req.baseUrl;
+  return `${req.protocol}://${req.get('host')}${mountPath}`;
+}
+
+/**
+ * Escape text for inclusion in the signing page
+ * @param {string} value - Raw text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Require a bearer token issued by the mock token endpoint
+ */
+function requireToken(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7) : null;
+
+  if (!token || !store.isTokenValid(token)) {
+    return sendError(res, new MockCongaError(401, 'error.unauthorised.invalidToken', 'Invalid or expired access token'));
+  }
+
+  next();
+}
+
+/**
+ * POST /mock-conga/api/v1/auth/connect/token
+ * Client credentials token endpoint
+ */
+router.post('/api/v1/auth/connect/token', express.urlencoded({ extended: false }), handle(req => {
+  const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body;
+
+  if (grantType !== 'client_credentials') {
+    throw new MockCongaError(400, 'error.validation.grantType', 'Only the client_credentials grant is supported');
+  }
+
+  return store.issueToken(clientId, clientSecret);
+}));
+
+/**
+ * POST /mock-conga/reset
+ * Clear all mock state
+ */
+router.post('/reset', handle(() => {
+  store.reset();
+  return { success: true };
+}));
+
+/**
+ * GET /mock-conga/sign/:packageId/:roleId
+ * Minimal signing ceremony page returned by mock signing URLs
+ */
+router.get('/sign/:packageId/:roleId', (req, res) => {
+  try {
+    const pkg = store.getPackage(req.params.packageId);
+    const role = pkg.roles.find(r => r.id === req.params.roleId);
+
+    if (!role) {
+      throw new MockCongaError(404, 'error.notFound.roleNotFound', `Role not found: ${req.params.roleId}`);
+    }
+
+    const signer = role.signers[0];
+    const signed = role.signingStatus === 'COMPLETED';
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+  <head><title>Mock Conga Sign - ${escapeHtml(pkg.name)}</title></head>
+  <body style="font-family: sans-serif; max-width: 600px; margin: 2rem auto;">
+    <h1>${escapeHtml(pkg.name)}</h1>
+    <p>Signer: ${escapeHtml(`${signer.firstName || ''} ${signer.lastName || ''}`.trim())} (${escapeHtml(signer.email)})</p>
+    <p>Documents: ${escapeHtml(pkg.documents.map(d => d.name).join(', ') || 'none')}</p>
+    ${signed
+    ? '<p><strong>You have signed this package.</strong></p>'
+    : '<form method="POST"><button type="submit">Sign</button></form>'}
+  </body>
+</html>`);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /mock-conga/sign/:packageId/:roleId
+ * Complete signing for a role
+ */
+router.post('/sign/:packageId/:roleId', (req, res) => {
+  try {
+    store.signRole(req.params.packageId, req.params.roleId);
+    res.redirect(303, `${getBaseUrl(req)}/sign/${req.params.packageId}/${req.params.roleId}`);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Everything below mirrors the Conga Sign REST API and needs a bearer token
+const api = express.Router();
+router.use(API_PATH, requireToken, api);
+
+api.get('/cs-packages', handle(req => store.listPackages(req.query)));
+
+api.post('/cs-packages', handle(req => store.createPackage(req.body), 201));
+
+api.get('/cs-packages/:packageId', handle(req => store.getPackage(req.params.packageId)));
+
+api.put('/cs-packages/:packageId', handle(req => store.updatePackage(req.params.packageId, req.body)));
+
+api.delete('/cs-packages/:packageId', handle(req => {
+  store.deletePackage(req.params.packageId);
+}));
+
+api.post('/cs-packages/:templateId/clone', handle(req => store.clonePackage(req.params.templateId, req.body), 201));
+
+api.post('/cs-packages/:packageId/roles', handle(req => store.addRole(req.params.packageId, req.body), 201));
+
+api.put('/cs-packages/:packageId/roles', handle(req => store.updateRoleOrder(req.params.packageId, req.body)));
+
+api.put('/cs-packages/:packageId/roles/:roleId', handle(req =>
+  store.updateRole(req.params.packageId, req.params.roleId, req.body)
+));
+
+api.delete('/cs-packages/:packageId/roles/:roleId', handle(req => {
+  store.deleteRole(req.params.packageId, req.params.roleId);
+}));
+
+api.get('/cs-packages/:packageId/roles/:roleId/signingUrl', handle(req =>
+  store.getSigningUrl(req.params.packageId, req.params.roleId, getBaseUrl(req))
+));
+
+api.post('/cs-packages/:packageId/documents', upload.single('file'), handle(req =>
+  store.addDocument(req.params.packageId, req.file), 201
+));
+
+api.post('/cs-packages/:packageId/documents/:documentId/approvals', handle(req =>
+  store.addApproval(req.params.packageId, req.params.documentId, req.body), 201
+));
+
+api.delete('/cs-packages/:packageId/documents/:documentId/approvals/:approvalId/fields/:fieldId', handle(req => {
+  store.deleteField(req.params.packageId, req.params.documentId, req.params.approvalId, req.params.fieldId);
+}));
+
+api.get('/cs-packages/:packageId/documents/zip', handleFile(req => store.getDocumentsZip(req.params.packageId)));
+
+api.get('/cs-packages/:packageId/documents/pdf', handleFile(req => store.getCombinedPdf(req.params.packageId)));
+
+api.delete('/cs-packages/:packageId/documents/:documentId', handle(req => {
+  store.deleteDocument(req.params.packageId, req.params.documentId);
+}));
+
+api.get('/cs-packages/:packageId/documents/:documentId/pdf', handleFile(req =>
+  store.getDocumentFile(req.params.packageId, req.params.documentId)
+));
+
+api.get('/cs-packages/:packageId/evidence/summary', handleFile(req => store.getEvidenceSummary(req.params.packageId)));
+
+api.get('/cs-packages/:packageId/signingStatus', handle(req => store.getSigningStatus(req.params.packageId)));
+
+api.get('/cs-packages/:packageId/audit', handle(req => store.getAudit(req.params.packageId)));
+
+api.post('/cs-packages/:packageId/notifications', handle(req =>
+  store.sendNotification(req.params.packageId, req.body)
+));
+
+api.get('/cs-callback', handle(() => store.getCallback()));
+
+api.post('/cs-callback', handle(req => store.setCallback(req.body)));
+
+api.put('/cs-callback', handle(req => store.setCallback(req.body)));
+
+api.delete('/cs-callback', handle(() => {
+  store.deleteCallback();
+}));
+
+api.post('/cs-authenticationTokens/sender', handle(req => store.createAuthenticationToken(req.body), 201));
+
+api.post('/cs-authenticationTokens/signer/singleUse', handle(req => store.createAuthenticationToken(req.body), 201));
+
+export default router;
@@ -1,13 +1,12 @@
 import express from 'express';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { getDataDir } from '../services/EnvConfig.js';
 
 const router = express.Router();
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Path to data directory
-const dataDir = path.join(__dirname, '../../..', 'data');
+const dataDir = getDataDir();
 
 // Reset config to default empty state
 router.post('/config', (req, res) => {
@@ -0,0 +1,82 @@
+import express from 'express';
+import TransactionManager from '../services/TransactionManager.js';
+import { sendError } from './helpers.js';
+
+const router = express.Router();
+const transactionManager = new TransactionManager();
+
+/**
+ * GET /api/templates
+ * List the templates available in Conga Sign
+ * 
+ * Query parameters:
+ * - from=N - Starting index for pagination (default: 1)
+ * - to=N - Ending index for pagination (default: 100)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    
+    const templates = await transactionManager.listTemplates({
+      ...(from && { from: parseInt(from, 10) }),
+      ...(to && { to: parseInt(to, 10) })
+    });
+    
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    
+    sendError(res, error, 'Failed to list templates');
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Get a template with its placeholder roles
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await transactionManager.getTemplate(req.params.id);
+    res.json({ template });
+  } catch (error) {
+    console.error(`Error getting template ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to get template');
+  }
+});
+
+/**
+ * POST /api/templates/:id/packages
+ * Create a transaction from a template
+ * 
+ * Body:
+ * - name - Package name (defaults to the template name)
+ * - description - Package description
+ * - signers - Signers keyed by template role ID: { [roleId]: { firstName, lastName, email } }
+ */
+router.post('/:id/packages', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, signers = {} } = req.body;
+    
+    // Every placeholder role needs a signer
+    const template = await transactionManager.getTemplate(id);
+    const unbound = template.roles.filter(role => role.placeholder && !(signers[role.id] && signers[role.id].email));
+    
+    if (unbound.length > 0) {
+      return res.status(400).json({
+        error: `Signers are required for template roles: ${unbound.map(role => role.name).join(', ')}`,
+        roles: unbound
+      });
+    }
+    
+    const transaction = await transactionManager.createTransactionFromTemplate(id, { name, description, signers });
+    res.status(201).json({ transaction });
+  } catch (error) {
+    console.error(`Error creating transaction from template ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to create transaction from template');
+  }
+});
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import HttpTrafficLog from '../services/HttpTrafficLog.js';
+
+const router = express.Router();
+const trafficLog = new HttpTrafficLog();
+
+/**
+ * GET /api/traffic
+ * Lists recorded Conga Sign API exchanges, newest first
+ */
+router.get('/', (req, res) => {
+  try {
+    const { method, status, search } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+
+    const entries = trafficLog.list({ method, status, search, limit });
+    res.json({ entries, count: entries.length });
+  } catch (error) {
+    console.error('Error listing API traffic:', error);
+    res.status(500).json({ error: 'Failed to list API traffic' });
+  }
+});
+
+/**
+ * GET /api/traffic/:id
+ * Returns one exchange with its headers and bodies
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const entry = trafficLog.getEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Exchange not found' });
+    }
+
+    res.json({ entry });
+  } catch (error) {
+    console.error('Error retrieving API exchange:', error);
+    res.status(500).json({ error: 'Failed to retrieve API exchange' });
+  }
+});
+
+/**
+ * DELETE /api/traffic
+ * Clears the traffic log
+ */
+router.delete('/', (req, res) => {
+  try {
+    trafficLog.clear();
+    res.json({ success: true, message: 'Traffic log cleared' });
+  } catch (error) {
+    console.error('Error clearing API traffic:', error);
+    res.status(500).json({ error: 'Failed to clear API traffic' });
+  }
+});
+
+export default router;
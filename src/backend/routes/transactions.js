@@ -1,17 +1,96 @@
 import express from 'express';
-import multer from 'multer';
-import TransactionManager from '../services/TransactionManager.js';
+import TransactionManager, { isValidSigningOrder } from '../services/TransactionManager.js';
+import UploadProgress from '../services/UploadProgress.js';
+import { validateTransactionQuery, queryTransactions } from '../services/TransactionQuery.js';
+import { validateField } from '../services/FieldTypes.js';
+import { validateSignerAuth } from '../services/SignerAuth.js';
+import { sendError, acceptUploads, removeUploads } from './helpers.js';
 
 const router = express.Router();
 const transactionManager = new TransactionManager();
+const uploadProgress = new UploadProgress();
 
-// Setup multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({ 
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+/**
+ * Send a downloaded file to the client
+ * @param {Object} res - Express response
+ * @param {Object} file - File with buffer, contentType and filename
+ */
+function sendFile(res, file) {
+  res.type(file.contentType);
+  res.attachment(file.filename);
+  res.send(file.buffer);
+}
+
+/**
+ * GET /api/transactions/uploads/:uploadId
+ * Progress of a document upload started with ?uploadId=<id>: the phase
+ * (receiving, forwarding, complete or failed), bytes received from the client
+ * and bytes of each file sent to Conga Sign
+ */
+router.get('/uploads/:uploadId', (req, res) => {
+  const progress = uploadProgress.get(req.params.uploadId);
+  if (!progress) {
+    return res.status(404).json({ error: `Upload not found: ${req.params.uploadId}` });
+  }
+  res.json({ upload: progress });
+});
+
+// The running (or last) full sync; only one runs at a time
+let fullSync = null;
+
+/**
+ * GET /api/transactions/sync
+ * Progress of the running (or last) full sync
+ */
+router.get('/sync', (req, res) => {
+  res.json({ sync: fullSync });
+});
+
+/**
+ * POST /api/transactions/sync
+ * Start syncing every package in the account, page by page, in the background.
+ * Poll GET /api/transactions/sync for progress.
+ *
+ * Body parameters:
+ * - pageSize - Packages requested per page (default: 100)
+ * - ownerEmail - Owner email to filter packages (default: platform email from config)
+ */
+router.post('/sync', (req, res) => {
+  if (fullSync && fullSync.status === 'running') {
+    return res.status(409).json({ error: 'A full sync is already running', sync: fullSync });
+  }
+
+  const pageSize = req.body.pageSize === undefined ? 100 : Number(req.body.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) {
+    return res.status(400).json({ error: 'pageSize must be a whole number from 1 to 1000' });
   }
+
+  const sync = {
+    status: 'running',
+    pages: 0,
+    discovered: 0,
+    total: null,
+    error: null,
+    started: new Date().toISOString(),
+    finished: null
+  };
+  fullSync = sync;
+
+  transactionManager.syncAllTransactions({
+    ownerEmail: req.body.ownerEmail,
+    pageSize,
+    onProgress: progress => Object.assign(sync, progress)
+  }).then(() => {
+    sync.status = 'complete';
+  }).catch(error => {
+    console.error('Error running full sync:', error);
+    sync.status = 'failed';
+    sync.error = error.message;
+  }).finally(() => {
+    sync.finished = new Date().toISOString();
+  });
+
+  res.status(202).json({ sync });
 });
 
 /**
@@ -23,8 +102,21 @@ const upload = multer({
  * - from=N - Starting index for pagination (default: 1)
  * - to=N - Ending index for pagination (default: 100)
  * - ownerEmail=email - Owner email to filter packages (default: platform email from config)
+ *
+ * Filtering, sorting and paging of the result (see TransactionQuery):
+ * - status=SENT,COMPLETED - One or more statuses
+ * - signerEmail=text - Part of any signer's email address
+ * - name=text - Part of the transaction name
+ * - createdFrom, createdTo, updatedFrom, updatedTo - Date range, inclusive
+ * - sort=created|updated|name|status and order=asc|desc
+ * - page=N and limit=N - Page of results (default: every match)
  */
 router.get('/', async (req, res) => {
+  const queryError = validateTransactionQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
   try {
     const { refresh, from, to, ownerEmail } = req.query;
     
@@ -42,7 +134,7 @@ router.get('/', async (req, res) => {
       options
     );
     
-    res.json({ transactions });
+    res.json(queryTransactions(transactions, req.query));
   } catch (error) {
     console.error('Error fetching transactions:', error);
     res.status(500).json({ error: 'Failed to fetch transactions', details: error.message });
@@ -67,7 +159,7 @@ router.get('/:id', async (req, res) => {
     res.json({ transaction });
   } catch (error) {
     console.error(`Error fetching transaction ${req.params.id}:`, error);
-    res.status(500).json({ error: 'Failed to fetch transaction' });
+    sendError(res, error, 'Failed to fetch transaction');
   }
 });
 
@@ -88,13 +180,73 @@ router.post('/', async (req, res) => {
     res.status(201).json({ transaction });
   } catch (error) {
     console.error('Error creating transaction:', error);
-    res.status(500).json({ error: `Failed to create transaction: ${error.message}` });
+    sendError(res, error, 'Failed to create transaction');
+  }
+});
+
+/**
+ * POST /api/transactions/complete
+ * Create a package with its signers, documents and fields in one call, and optionally send it.
+ * If a step fails, the partially built package is canceled and the failed step is reported.
+ * 
+ * Multipart form:
+ * - package - JSON package definition:
+ *   { name, description, emailMessage, send,
+ *     signers: [{ firstName, lastName, email, company }],
+ *     documents: [{ file, fields: [{ signer, page, left, top, width, height }] }] }
+ *   where file is the form field of the document upload (default: uploads in order)
+ *   and signer is a signer index or email
+ * - one file field per document
+ * 
+ * A JSON body holding the definition is accepted for packages without documents.
+ */
+router.post('/complete', acceptUploads(transactionManager.apiClient.configManager, upload => upload.any(), uploadProgress), async (req, res) => {
+  const { uploadId } = req.query;
+  let definition;
+  try {
+    definition = typeof req.body.package === 'string' ? JSON.parse(req.body.package) : req.body;
+  } catch (error) {
+    removeUploads(req);
+    if (uploadId) {
+      uploadProgress.finish(uploadId, error);
+    }
+    return res.status(400).json({ error: `Invalid package definition: ${error.message}` });
+  }
+  
+  try {
+    if (uploadId) {
+      uploadProgress.forward(uploadId, req.files || []);
+    }
+    const transaction = await transactionManager.createCompletePackage(definition, req.files || [], {
+      onProgress: uploadId && ((file, sent) => uploadProgress.send(uploadId, file, sent))
+    });
+    if (uploadId) {
+      uploadProgress.finish(uploadId);
+    }
+    res.status(201).json({ transaction });
+  } catch (error) {
+    console.error('Error creating complete package:', error);
+    if (uploadId) {
+      uploadProgress.finish(uploadId, error);
+    }
+    
+    sendError(res, error, 'Failed to create package');
+  } finally {
+    removeUploads(req);
   }
 });
 
 /**
  * POST /api/transactions/:id/signers
  * Add a signer to a transaction
+ * 
+ * Body:
+ * - firstName, lastName, email - Signer details
+ * - company - Company name
+ * - order - Signing order; signers with the same order sign in parallel (default: after the existing signers)
+ * - authentication - How the signer proves their identity (default: none):
+ *   { method: 'EMAIL' }, { method: 'SMS', phone: '+15145551234' } or
+ *   { method: 'QA', questions: [{ question, answer, maskInput }] }
  */
 router.post('/:id/signers', async (req, res) => {
   try {
@@ -108,48 +260,174 @@ router.post('/:id/signers', async (req, res) => {
       });
     }
     
+    const problem = validateSignerAuth(signerData.authentication);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    if (signerData.order !== undefined && !isValidSigningOrder(signerData.order)) {
+      return res.status(400).json({ error: 'Signing order must be a whole number from 0' });
+    }
+    
     const transaction = await transactionManager.addSigner(id, signerData);
     res.json({ transaction });
   } catch (error) {
     console.error(`Error adding signer to transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to add signer: ${error.message}` });
+    sendError(res, error, 'Failed to add signer');
+  }
+});
+
+/**
+ * PUT /api/transactions/:id/signers/order
+ * Change the signing order of a draft transaction's signers
+ * 
+ * Body:
+ * - signers - [{ roleId, order }]; signers with the same order sign in parallel
+ */
+router.put('/:id/signers/order', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { signers } = req.body;
+    
+    if (!Array.isArray(signers) || signers.length === 0) {
+      return res.status(400).json({ error: 'A list of signers with their roleId and order is required' });
+    }
+    
+    const invalid = signers.find(entry => !entry || !entry.roleId || !isValidSigningOrder(entry.order));
+    if (invalid) {
+      return res.status(400).json({ error: 'Each signer needs a roleId and a signing order (a whole number from 0)' });
     }
+    
+    const transaction = await transactionManager.reorderSigners(id, signers);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error reordering signers of transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to reorder signers');
+  }
+});
+
+/**
+ * PUT /api/transactions/:id/signers/:roleId
+ * Replace the signer of a draft transaction's role, keeping its fields and signing order
+ * 
+ * Body: firstName, lastName, email and authentication, as for adding a signer
+ */
+router.put('/:id/signers/:roleId', async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+    const signerData = req.body;
+    
+    // Validate required fields
+    if (!signerData.firstName || !signerData.lastName || !signerData.email) {
+      return res.status(400).json({ 
+        error: 'Signer first name, last name, and email are required' 
+      });
+    }
+    
+    const problem = validateSignerAuth(signerData.authentication);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const transaction = await transactionManager.replaceSigner(id, roleId, signerData);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error replacing signer ${req.params.roleId} of transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to replace signer');
+  }
+});
+
+/**
+ * DELETE /api/transactions/:id/signers/:roleId
+ * Remove a signer, and their fields, from a draft transaction
+ */
+router.delete('/:id/signers/:roleId', async (req, res) => {
+  try {
+    const { id, roleId } = req.params;
+    const transaction = await transactionManager.removeSigner(id, roleId);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error removing signer ${req.params.roleId} from transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to remove signer');
   }
 });
 
 /**
  * POST /api/transactions/:id/documents
- * Add a document to a transaction
+ * Add a document to a transaction. The file is streamed to Conga Sign from a
+ * temporary file, so documents up to the configured upload limit can be added.
+ * 
+ * Query parameters:
+ * - uploadId - Client-chosen ID to follow the upload at GET /api/transactions/uploads/:uploadId
  */
-router.post('/:id/documents', upload.single('file'), async (req, res) => {
+router.post('/:id/documents', acceptUploads(transactionManager.apiClient.configManager, upload => upload.single('file'), uploadProgress), async (req, res) => {
+  const { uploadId } = req.query;
   try {
     const { id } = req.params;
     
     // Check if file was uploaded
     if (!req.file) {
+      if (uploadId) {
+        uploadProgress.finish(uploadId, new Error('No file uploaded'));
+      }
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const result = await transactionManager.addDocument(id, req.file);
+    if (uploadId) {
+      uploadProgress.forward(uploadId, [req.file]);
+    }
+    const result = await transactionManager.addDocument(id, req.file, {
+      onProgress: uploadId && (sent => uploadProgress.send(uploadId, req.file, sent))
+    });
+    if (uploadId) {
+      uploadProgress.finish(uploadId);
+    }
     res.json(result);
   } catch (error) {
     console.error(`Error adding document to transaction ${req.params.id}:`, error);
-    
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to add document: ${error.message}` });
+    if (uploadId) {
+      uploadProgress.finish(uploadId, error);
     }
+    
+    sendError(res, error, 'Failed to add document');
+  } finally {
+    removeUploads(req);
+  }
+});
+
+/**
+ * DELETE /api/transactions/:id/documents/:documentId
+ * Remove a document, and its fields, from a draft transaction
+ */
+router.delete('/:id/documents/:documentId', async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const transaction = await transactionManager.removeDocument(id, documentId);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error removing document ${req.params.documentId} from transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to remove document');
   }
 });
 
 /**
  * POST /api/transactions/:id/documents/:documentId/fields
- * Add a signature field to a document
+ * Add a field to a document
+ * 
+ * Body:
+ * - roleId - Signer role the field belongs to
+ * - type - SIGNATURE (default), INITIALS, SIGNING_DATE, TEXT, CHECKBOX, RADIO, DROPDOWN or LABEL
+ * - page, left, top, width, height - Position (width and height default per type)
+ * - name - Field name
+ * - required, pattern, minLength, maxLength, errorMessage - Validation (TEXT; required also for CHECKBOX, RADIO and DROPDOWN)
+ * - options - Choices for RADIO and DROPDOWN fields
+ * - group - Radio group name
+ * - value - Default value, or the text of a LABEL
  */
 router.post('/:id/documents/:documentId/fields', async (req, res) => {
   try {
@@ -161,19 +439,36 @@ router.post('/:id/documents/:documentId/fields', async (req, res) => {
       return res.status(400).json({ error: 'Signer role ID is required' });
     }
     
-    const transaction = await transactionManager.addSignatureField(
+    const problem = validateField(fieldOptions);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+    
+    const transaction = await transactionManager.addField(
       id, documentId, roleId, fieldOptions
     );
     
     res.json({ transaction });
   } catch (error) {
-    console.error(`Error adding signature field to document:`, error);
+    console.error(`Error adding field to document ${req.params.documentId}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to add signature field: ${error.message}` });
-    }
+    sendError(res, error, 'Failed to add field');
+  }
+});
+
+/**
+ * DELETE /api/transactions/:id/documents/:documentId/fields/:fieldId
+ * Remove a field from a document of a draft transaction
+ */
+router.delete('/:id/documents/:documentId/fields/:fieldId', async (req, res) => {
+  try {
+    const { id, documentId, fieldId } = req.params;
+    const transaction = await transactionManager.removeField(id, documentId, fieldId);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error removing field ${req.params.fieldId} from document ${req.params.documentId}:`, error);
+    
+    sendError(res, error, 'Failed to remove field');
   }
 });
 
@@ -189,11 +484,7 @@ router.post('/:id/send', async (req, res) => {
   } catch (error) {
     console.error(`Error sending transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to send transaction: ${error.message}` });
-    }
+    sendError(res, error, 'Failed to send transaction');
   }
 });
 
@@ -209,11 +500,7 @@ router.post('/:id/refresh', async (req, res) => {
   } catch (error) {
     console.error(`Error refreshing transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to refresh transaction: ${error.message}` });
-    }
+    sendError(res, error, 'Failed to refresh transaction');
   }
 });
 
@@ -236,11 +523,47 @@ router.post('/:id/notifications', async (req, res) => {
   } catch (error) {
     console.error(`Error resending notification for transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to resend notification: ${error.message}` });
+    sendError(res, error, 'Failed to resend notification');
+  }
+});
+
+/**
+ * PUT /api/transactions/:id
+ * Rename a draft transaction or change its description or email message
+ * 
+ * Body (all optional):
+ * - name - Package name
+ * - description - Package description
+ * - emailMessage - Message included in the signing invitation
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = {};
+    ['name', 'description', 'emailMessage'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        updates[key] = req.body[key];
+      }
+    });
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Provide a name, description or emailMessage to change' });
+    }
+    
+    if (Object.values(updates).some(value => typeof value !== 'string')) {
+      return res.status(400).json({ error: 'name, description and emailMessage must be text' });
     }
+    
+    if (updates.name !== undefined && !updates.name.trim()) {
+      return res.status(400).json({ error: 'Package name cannot be empty' });
+    }
+    
+    const transaction = await transactionManager.updateDraft(id, updates);
+    res.json({ transaction });
+  } catch (error) {
+    console.error(`Error updating transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to update transaction');
   }
 });
 
@@ -261,11 +584,7 @@ router.delete('/:id', async (req, res) => {
   } catch (error) {
     console.error(`Error canceling transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to cancel transaction: ${error.message}` });
-    }
+    sendError(res, error, 'Failed to cancel transaction');
   }
 });
 
@@ -281,11 +600,48 @@ router.get('/:id/signingUrl/:roleId', async (req, res) => {
   } catch (error) {
     console.error(`Error getting signing URL for transaction ${req.params.id}:`, error);
     
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: `Failed to get signing URL: ${error.message}` });
+    sendError(res, error, 'Failed to get signing URL');
+  }
+});
+
+/**
+ * GET /api/transactions/:id/documents/:documentId/download
+ * Download a single signed document
+ */
+router.get('/:id/documents/:documentId/download', async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const file = await transactionManager.downloadDocument(id, documentId);
+    sendFile(res, file);
+  } catch (error) {
+    console.error(`Error downloading document ${req.params.documentId}:`, error);
+    
+    sendError(res, error, 'Failed to download document');
+  }
+});
+
+/**
+ * GET /api/transactions/:id/download
+ * Download the whole package
+ * 
+ * Query parameters:
+ * - format=zip|pdf|evidence - All documents as a zip (default), one combined PDF, or the evidence summary
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || 'zip';
+    
+    if (!['zip', 'pdf', 'evidence'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Must be one of: zip, pdf, evidence' });
     }
+    
+    const file = await transactionManager.downloadPackage(id, format);
+    sendFile(res, file);
+  } catch (error) {
+    console.error(`Error downloading transaction ${req.params.id}:`, error);
+    
+    sendError(res, error, 'Failed to download transaction');
   }
 });
 
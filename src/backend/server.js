@@ -8,6 +8,12 @@ import configRoutes from './routes/config.js';
 import authRoutes from './routes/auth.js';
 import transactionRoutes from './routes/transactions.js';
 import sampleDataRoutes from './routes/sample-data.js';
+import mockCongaRoutes from './routes/mock-conga.js';
+import trafficRoutes from './routes/traffic.js';
+import templateRoutes from './routes/templates.js';
+import bulkSendRoutes from './routes/bulk-send.js';
+import callbackRoutes from './routes/callback.js';
+import HttpTrafficLog from './services/HttpTrafficLog.js';
 
 // Setup __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -20,11 +26,21 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
+// Attribute outbound Conga API calls to the sandbox route that made them
+app.use('/api', HttpTrafficLog.middleware());
+
 // API Routes
 app.use('/api/config', configRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/bulk-send', bulkSendRoutes);
+app.use('/api/callback', callbackRoutes);
 app.use('/api/sample-data', sampleDataRoutes);
+app.use('/api/traffic', trafficRoutes);
+
+// Local mock of the Conga Sign service, used by the "mock" region
+app.use('/mock-conga', mockCongaRoutes);
 
 // Basic route for testing server health
 app.get('/api/health', (req, res) => {
@@ -37,15 +53,19 @@ app.post('/api/reset', (req, res) => {
     // Import managers
     import('./services/ConfigManager.js')
       .then(({ default: ConfigManager }) => {
-        return import('./services/TransactionManager.js')
-          .then(({ default: TransactionManager }) => {
+        return Promise.all([
+          import('./services/TransactionManager.js'),
+          import('./services/CallbackManager.js')
+        ])
+          .then(([{ default: TransactionManager }, { default: CallbackManager }]) => {
             const configManager = new ConfigManager();
             const transactionManager = new TransactionManager();
             
-            // Reset both config and transactions
+            // Reset config, transactions and received callbacks
             const keepEnvironment = req.body.keepEnvironment !== false;
             configManager.reset(keepEnvironment);
             transactionManager.reset();
+            new CallbackManager(transactionManager).clearEvents();
             
             res.json({ success: true, message: 'Application state reset successfully' });
           });
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import TransactionManager from './TransactionManager.js';
+
+// Packages created at the same time unless the caller asks for another value
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+// Largest CSV accepted in one job
+const MAX_ROWS = 500;
+
+// Number of finished jobs kept in memory
+const MAX_JOBS = 20;
+
+// Columns with a fixed meaning; every other column is a merge field
+const SIGNER_COLUMNS = ['name', 'firstname', 'lastname', 'email', 'company'];
+
+// Jobs are shared by every instance so status can be read from any router
+const jobs = new Map();
+
+/**
+ * Parse CSV text into rows of values keyed by the header row.
+ * Supports quoted values with embedded commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows keyed by column name
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const headers = nonEmpty[0].map(header => header.trim());
+  return nonEmpty.slice(1).map(cells =>
+    Object.fromEntries(headers.map((header, index) => [header, (cells[index] || '').trim()]))
+  );
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+/**
+ * Replace {{column}} placeholders with values from a CSV row
+ * @param {string} template - Text with placeholders
+ * @param {Object} values - Row values
+ * @returns {string} Merged text
+ */
+function mergeText(template, values) {
+  return String(template || '').replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+/**
+ * BulkSendManager
+ * Sends the same document to many recipients, one package per CSV row
+ */
+class BulkSendManager {
+  constructor(transactionManager = new TransactionManager()) {
+    this.transactionManager = transactionManager;
+  }
+
+  /**
+   * Turn a CSV row into signer details and merge fields
+   * @param {Object} row - Row keyed by column name
+   * @returns {Object} Recipient with firstName, lastName, email, company and mergeFields
+   */
+  parseRecipient(row) {
+    const columns = Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+    const [firstFromName = '', ...restOfName] = (columns.name || '').split(/\s+/);
+
+    return {
+      firstName: columns.firstname || firstFromName,
+      lastName: columns.lastname || restOfName.join(' '),
+      email: columns.email || '',
+      company: columns.company || '',
+      mergeFields: Object.fromEntries(Object.entries(row)
+        .filter(([key]) => !SIGNER_COLUMNS.includes(key.toLowerCase())))
+    };
+  }
+
+  /**
+   * Validate a CSV and start a bulk send job in the background
+   * @param {Object} options - Bulk send options
+   * @param {string} options.csv - CSV text, one row per recipient
+   * @param {Object} options.document - Base document (multer file)
+   * @param {string} [options.packageName] - Package name, may contain {{column}} placeholders
+   * @param {string} [options.emailMessage] - Email message, may contain {{column}} placeholders
+   * @param {number} [options.concurrency] - Packages created at the same time
+   * @param {Object} [options.fieldOptions] - Signature field position
+   * @param {Function} [options.onFinish] - Called when the job has finished, e.g. to delete the uploaded files
+   * @returns {Object} The job, as it was when started
+   */
+  startBulkSend(options) {
+    const job = this.createJob(options);
+
+    this.runJob(job, options).catch(error => {
+      console.error(`Bulk send job ${job.id} failed:`, error);
+    }).finally(() => {
+      if (options.onFinish) {
+        options.onFinish(job);
+      }
+    });
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Validate the options and register a job
+   * @param {Object} options - Bulk send options (see startBulkSend)
+   * @returns {Object} The job
+   */
+  createJob(options) {
+    if (!options.document) {
+      throw new Error('A base document is required');
+    }
+
+    const rows = parseCsv(options.csv || '');
+    if (rows.length === 0) {
+      throw new Error('The CSV has no recipient rows');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`The CSV has ${rows.length} rows; the limit is ${MAX_ROWS}`);
+    }
+    if (!Object.keys(rows[0]).some(column => column.toLowerCase() === 'email')) {
+      throw new Error('The CSV needs an "email" column');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'RUNNING',
+      documentName: options.document.originalname || options.document.name || 'document.pdf',
+      total: rows.length,
+      succeeded: 0,
+      failed: 0,
+      created: new Date().toISOString(),
+      finished: null,
+      rows: rows.map((row, index) => {
+        const recipient = this.parseRecipient(row);
+        return {
+          row: index + 1,
+          name: `${recipient.firstName} ${recipient.lastName}`.trim(),
+          email: recipient.email,
+          status: 'PENDING',
+          packageId: null,
+          rolledBack: false,
+          error: null
+        };
+      })
+    };
+
+    jobs.set(job.id, { job, rows });
+    this.pruneJobs();
+
+    return job;
+  }
+
+  /**
+   * Create and send one package per row
+   * @param {Object} job - Job created by createJob
+   * @param {Object} options - Bulk send options (see startBulkSend)
+   * @returns {Promise<Object>} The finished job
+   */
+  async runJob(job, options) {
+    const { rows } = jobs.get(job.id);
+    const concurrency = Math.min(Math.max(parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+    await runWithConcurrency(rows, concurrency, async (row, index) => {
+      const result = job.rows[index];
+
+      try {
+        const recipient = this.parseRecipient(row);
+        if (!recipient.email) {
+          throw new Error('Missing email');
+        }
+
+        result.packageId = await this.sendToRecipient(recipient, options);
+        result.status = 'SUCCESS';
+        job.succeeded++;
+      } catch (error) {
+        console.error(`Bulk send job ${job.id} row ${result.row} failed:`, error);
+        result.status = 'FAILED';
+        result.error = error.message;
+        // Partially built packages are canceled; keep their ID so they can be inspected
+        result.packageId = error.packageId || null;
+        result.rolledBack = Boolean(error.rolledBack);
+        job.failed++;
+      }
+    });
+
+    job.status = 'COMPLETED';
+    job.finished = new Date().toISOString();
+
+    return job;
+  }
+
+  /**
+   * Create, fill and send the package for one recipient.
+   * A package that fails part-way is rolled back by TransactionManager.createCompletePackage.
+   * @param {Object} recipient - Recipient from parseRecipient
+   * @param {Object} options - Bulk send options
+   * @returns {Promise<string>} Package ID
+   */
+  async sendToRecipient(recipient, options) {
+    const values = {
+      ...recipient.mergeFields,
+      name: `${recipient.firstName} ${recipient.lastName}`.trim(),
+      firstName: recipient.firstName,
+      lastName: recipient.lastName,
+      email: recipient.email,
+      company: recipient.company
+    };
+
+    const transaction = await this.transactionManager.createCompletePackage({
+      name: mergeText(options.packageName || '{{name}} - Signature Request', values),
+      ...(options.emailMessage && { emailMessage: mergeText(options.emailMessage, values) }),
+      signers: [{
+        firstName: recipient.firstName,
+        lastName: recipient.lastName,
+        email: recipient.email,
+        ...(recipient.company && { company: recipient.company })
+      }],
+      documents: [{ fields: [{ signer: 0, ...options.fieldOptions }] }],
+      send: true
+    }, [options.document]);
+
+    return transaction.id;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond MAX_JOBS
+   */
+  pruneJobs() {
+    const finished = [...jobs.values()]
+      .map(entry => entry.job)
+      .filter(job => job.status === 'COMPLETED')
+      .sort((a, b) => a.created.localeCompare(b.created));
+
+    while (jobs.size > MAX_JOBS && finished.length > 0) {
+      jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Get a job with its per-row results
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Copy of the job, or null if unknown
+   */
+  getJob(jobId) {
+    const entry = jobs.get(jobId);
+    if (!entry) {
+      return null;
+    }
+    return { ...entry.job, rows: entry.job.rows.map(row => ({ ...row })) };
+  }
+
+  /**
+   * List jobs, newest first, without their rows
+   * @returns {Array<Object>} Job summaries
+   */
+  listJobs() {
+    return [...jobs.values()]
+      .map(({ job }) => {
+        const summary = { ...job };
+        delete summary.rows;
+        return summary;
+      })
+      .sort((a, b) => b.created.localeCompare(a.created));
+  }
+}
+
+export default BulkSendManager;
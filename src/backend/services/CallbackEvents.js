@@ -0,0 +1,239 @@
+/**
+ * Conga Sign callback events and what each one means for a tracked transaction.
+ *
+ * Conga posts one JSON object per event:
+ * { "@class", "name", "sessionUser", "packageId", "documentId", "message", "createdDate" }
+ * where sessionUser is the role of the signer who triggered the event, if any.
+ *
+ * - status: transaction status after the event
+ * - signerStatus: status of the signer named by sessionUser after the event
+ * - allSigners: apply signerStatus to every signer instead
+ */
+export const CALLBACK_EVENTS = {
+  PACKAGE_CREATE: { label: 'Package created' },
+  PACKAGE_ACTIVATE: { label: 'Package sent', status: 'SENT' },
+  PACKAGE_DEACTIVATE: { label: 'Package moved back to draft', status: 'DRAFT' },
+  PACKAGE_READY_FOR_COMPLETION: { label: 'Package ready for completion' },
+  PACKAGE_COMPLETE: { label: 'Package completed', status: 'COMPLETED', signerStatus: 'COMPLETED', allSigners: true },
+  PACKAGE_EXPIRE: { label: 'Package expired', status: 'EXPIRED' },
+  PACKAGE_OPT_OUT: { label: 'Signer opted out', status: 'OPTED_OUT', signerStatus: 'OPTED_OUT' },
+  PACKAGE_DECLINE: { label: 'Package declined', status: 'DECLINED', signerStatus: 'DECLINED' },
+  PACKAGE_TRASH: { label: 'Package moved to trash' },
+  PACKAGE_RESTORE: { label: 'Package restored from trash' },
+  PACKAGE_DELETE: { label: 'Package deleted', status: 'CANCELED' },
+  SIGNER_COMPLETE: { label: 'Signer completed', signerStatus: 'COMPLETED' },
+  SIGNER_LOCKED: { label: 'Signer locked out', signerStatus: 'LOCKED' },
+  DOCUMENT_VIEWED: { label: 'Document viewed' },
+  DOCUMENT_SIGNED: { label: 'Document signed' },
+  ROLE_REASSIGN: { label: 'Signer reassigned' },
+  EMAIL_BOUNCE: { label: 'Invitation email bounced', signerStatus: 'EMAIL_BOUNCED' },
+  KBA_FAILURE: { label: 'Knowledge-based authentication failed' }
+};
+
+// Events triggered by a signer; their payload names the signer's role in sessionUser
+export const SIGNER_EVENTS = [
+  'PACKAGE_OPT_OUT',
+  'PACKAGE_DECLINE',
+  'SIGNER_COMPLETE',
+  'SIGNER_LOCKED',
+  'DOCUMENT_VIEWED',
+  'DOCUMENT_SIGNED',
+  'ROLE_REASSIGN',
+  'EMAIL_BOUNCE',
+  'KBA_FAILURE'
+];
+
+// Events about a single document; their payload carries its documentId
+export const DOCUMENT_EVENTS = ['DOCUMENT_VIEWED', 'DOCUMENT_SIGNED'];
+
+// Java class Conga Sign names in every callback body
+const CALLBACK_CLASS = 'com.silanis.esl.packages.event.ESLProcessEvent';
+
+// Events registered when the caller does not pick any
+export const DEFAULT_CALLBACK_EVENTS = [
+  'PACKAGE_CREATE',
+  'DOCUMENT_VIEWED',
+  'SIGNER_COMPLETE',
+  'DOCUMENT_SIGNED',
+  'PACKAGE_COMPLETE',
+  'PACKAGE_DECLINE',
+  'EMAIL_BOUNCE'
+];
+
+/**
+ * How Conga Sign authenticates to the callback URL
+ *
+ * - NO_AUTH: no credentials
+ * - BASIC: the callback key is sent as "Authorization: Basic <key>"
+ * - OAUTH2: Conga gets a token from the authentication server with the client
+ *   credentials grant and sends it as a bearer token
+ */
+export const CALLBACK_AUTH_TYPES = ['NO_AUTH', 'BASIC', 'OAUTH2'];
+
+// Shown instead of callback secrets in responses
+export const REDACTED_SECRET = '********';
+
+/**
+ * Check whether a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a URL
+ */
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a callback registration
+ * @param {Object} registration - { url, events, authType, key, authentication: { clientId, clientSecret, authenticationServer, scope } }
+ * @returns {string|null} Description of the first problem, or null if the registration is valid
+ */
+export function validateCallbackRegistration(registration = {}) {
+  if (!isHttpUrl(registration.url)) {
+    return 'A callback URL starting with http:// or https:// is required';
+  }
+
+  if (!Array.isArray(registration.events) || registration.events.length === 0) {
+    return 'Pick at least one event';
+  }
+  const unknown = registration.events.filter(name => !CALLBACK_EVENTS[name]);
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+
+  const authType = registration.authType || 'NO_AUTH';
+  if (!CALLBACK_AUTH_TYPES.includes(authType)) {
+    return `Unknown auth type "${authType}". Must be one of: ${CALLBACK_AUTH_TYPES.join(', ')}`;
+  }
+
+  if (authType === 'BASIC' && !String(registration.key || '').trim()) {
+    return 'BASIC authentication needs a callback key';
+  }
+
+  if (authType === 'OAUTH2') {
+    const authentication = registration.authentication || {};
+    if (!authentication.clientId || !authentication.clientSecret) {
+      return 'OAUTH2 authentication needs a client ID and client secret';
+    }
+    if (!isHttpUrl(authentication.authenticationServer)) {
+      return 'OAUTH2 authentication needs the URL of the authentication server';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy a callback registration with its key and client secret hidden
+ * @param {Object|null} registration - Callback registration
+ * @returns {Object|null} Registration that is safe to return to the browser
+ */
+export function redactCallbackSecrets(registration) {
+  if (!registration) {
+    return registration;
+  }
+
+  return {
+    ...registration,
+    ...(registration.key && { key: REDACTED_SECRET }),
+    ...(registration.authentication && {
+      authentication: {
+        ...registration.authentication,
+        ...(registration.authentication.clientSecret && { clientSecret: REDACTED_SECRET })
+      }
+    })
+  };
+}
+
+// Event names are upper-case words joined by underscores
+const EVENT_NAME_PATTERN = /^[A-Z][A-Z_]*$/;
+
+/**
+ * Check the shape of a callback payload
+ * @param {*} payload - Request body posted by Conga Sign
+ * @returns {string|null} Description of the first problem, or null if the payload is valid
+ */
+export function validateCallbackEvent(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return 'The callback body must be a JSON object';
+  }
+
+  if (typeof payload.name !== 'string' || !EVENT_NAME_PATTERN.test(payload.name)) {
+    return 'The callback needs an event name, such as PACKAGE_COMPLETE';
+  }
+
+  if (typeof payload.packageId !== 'string' || !payload.packageId.trim()) {
+    return 'The callback needs a packageId';
+  }
+
+  const optionalText = ['sessionUser', 'documentId', 'message'].find(key =>
+    payload[key] !== undefined && payload[key] !== null && typeof payload[key] !== 'string'
+  );
+  if (optionalText) {
+    return `${optionalText} must be text or null`;
+  }
+
+  if (payload.createdDate !== undefined && payload.createdDate !== null && Number.isNaN(Date.parse(payload.createdDate))) {
+    return `createdDate is not a valid date: ${payload.createdDate}`;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the fields the sandbox uses from a callback payload
+ * @param {Object} payload - Valid callback payload
+ * @returns {Object} { name, packageId, sessionUser, documentId, message, createdDate, known }
+ */
+export function normalizeCallbackEvent(payload) {
+  return {
+    name: payload.name,
+    packageId: payload.packageId.trim(),
+    sessionUser: payload.sessionUser || null,
+    documentId: payload.documentId || null,
+    message: payload.message || null,
+    createdDate: payload.createdDate ? new Date(payload.createdDate).toISOString() : null,
+    known: Boolean(CALLBACK_EVENTS[payload.name])
+  };
+}
+
+/**
+ * Build a callback body shaped exactly like the ones Conga Sign posts
+ * @param {Object} event - Event details
+ * @param {string} event.name - Event name
+ * @param {string} event.packageId - Package ID
+ * @param {string} [event.sessionUser] - Role of the signer who triggered the event
+ * @param {string} [event.documentId] - Document ID
+ * @param {string} [event.message] - Event message, such as the reason for declining
+ * @param {string} [event.createdDate] - When the event happened, defaults to now
+ * @returns {Object} Callback payload
+ */
+export function buildCallbackPayload({ name, packageId, sessionUser, documentId, message, createdDate }) {
+  return {
+    '@class': CALLBACK_CLASS,
+    name,
+    sessionUser: sessionUser || null,
+    packageId,
+    documentId: documentId || null,
+    message: message || null,
+    createdDate: createdDate || new Date().toISOString()
+  };
+}
+
+/**
+ * Describe a callback event for transaction history
+ * @param {Object} event - Normalized callback event
+ * @param {Object} [signer] - Signer named by the event's sessionUser, if tracked
+ * @returns {string} Description such as "Package declined by Jane Doe (jane@example.com): Wrong start date"
+ */
+export function describeCallbackEvent(event, signer = null) {
+  const label = CALLBACK_EVENTS[event.name] ? CALLBACK_EVENTS[event.name].label : `Unhandled event ${event.name}`;
+  const who = signer ? ` by ${signer.name} (${signer.email})` : event.sessionUser ? ` by ${event.sessionUser}` : '';
+  const document = event.documentId ? ` on document ${event.documentId}` : '';
+  const message = event.message ? `: ${event.message}` : '';
+
+  return `${label}${who}${document}${message}`;
+}
@@ -0,0 +1,296 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import TransactionManager from './TransactionManager.js';
+import CongaApiError from './CongaApiError.js';
+import { DEFAULT_PROFILE } from './ConfigManager.js';
+import { getDataDir } from './EnvConfig.js';
+import { normalizeCallbackEvent, REDACTED_SECRET, validateCallbackEvent } from './CallbackEvents.js';
+
+
+// Number of events kept before the oldest are dropped
+const MAX_EVENTS = 200;
+
+// How long a bearer token issued for OAUTH2 callbacks stays valid
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+// Bearer tokens issued for OAUTH2 callbacks: token -> { clientId, expires }.
+// Shared by every instance so that all routers accept the same tokens.
+const issuedTokens = new Map();
+
+/**
+ * Get the received callbacks storage file of a configuration profile. The
+ * default profile keeps the original callbacks.json.
+ * @param {string} profile - Profile name
+ * @returns {string} File path
+ */
+export function getCallbacksFilePath(profile = DEFAULT_PROFILE) {
+  return path.join(getDataDir(), profile === DEFAULT_PROFILE ? 'callbacks.json' : `callbacks-${profile}.json`);
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {*} actual - Value received
+ * @param {*} expected - Value saved
+ * @returns {boolean} True if both are set and equal
+ */
+function secretsMatch(actual, expected) {
+  if (!actual || !expected) {
+    return false;
+  }
+  const a = Buffer.from(String(actual));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * CallbackManager
+ * Stores the callback events Conga Sign posts to the sandbox and applies
+ * them to the matching transactions, and manages the account's callback
+ * registration
+ */
+class CallbackManager {
+  constructor(transactionManager = new TransactionManager(), apiClient = transactionManager.apiClient) {
+    this.transactionManager = transactionManager;
+    this.apiClient = apiClient;
+  }
+
+  /**
+   * Get the received callbacks file of the active configuration profile, so
+   * that events from different Conga Sign accounts never mix
+   * @returns {string} File path
+   */
+  getFilePath() {
+    const { configManager } = this.apiClient;
+    return getCallbacksFilePath(configManager ? configManager.getActiveProfile() : DEFAULT_PROFILE);
+  }
+
+  /**
+   * Load received events from storage
+   * @returns {Array<Object>} Events, oldest first
+   */
+  loadEvents() {
+    const filePath = this.getFilePath();
+    try {
+      if (fs.existsSync(filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return Array.isArray(parsed) ? parsed : [];
+      }
+    } catch (error) {
+      console.error('Error loading callback events:', error);
+    }
+    return [];
+  }
+
+  /**
+   * Save received events to storage, keeping the newest MAX_EVENTS
+   * @param {Array<Object>} events - Events, oldest first
+   * @returns {boolean} Success status
+   */
+  saveEvents(events) {
+    try {
+      const filePath = this.getFilePath();
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(events.slice(-MAX_EVENTS), null, 2), 'utf8');
+      return true;
+    } catch (error) {
+      console.error('Error saving callback events:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved copy of the account's callback registration
+   * @returns {Object|null} Registration with its secrets, or null
+   */
+  getSavedRegistration() {
+    return this.apiClient.configManager.getConfig(true).callbackRegistration || null;
+  }
+
+  /**
+   * Check the credentials of an incoming callback against the saved
+   * registration: the callback key for BASIC, or a bearer token issued by
+   * issueToken for OAUTH2
+   * @param {string} [authorization] - Authorization header of the callback
+   * @returns {string|null} Why the callback is rejected, or null if it is accepted
+   */
+  checkAuthorization(authorization = '') {
+    const registration = this.getSavedRegistration() || {};
+
+    if (registration.authType === 'BASIC') {
+      return secretsMatch(authorization, `Basic ${registration.key}`)
+        ? null
+        : 'The callback key is missing or does not match the registration';
+    }
+
+    if (registration.authType === 'OAUTH2') {
+      const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+      const issued = match && issuedTokens.get(match[1]);
+      const clientId = registration.authentication && registration.authentication.clientId;
+      if (!issued || issued.expires < Date.now() || issued.clientId !== clientId) {
+        return 'The bearer token is missing, expired or was not issued by POST /api/callback/token';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue a bearer token for OAUTH2 callbacks (client credentials grant), if
+   * the credentials match the saved registration
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @returns {Object|null} Token response, or null if the credentials are wrong
+   */
+  issueToken({ clientId, clientSecret }) {
+    const registration = this.getSavedRegistration() || {};
+    const authentication = registration.authType === 'OAUTH2' ? registration.authentication || {} : {};
+    if (!secretsMatch(clientId, authentication.clientId) || !secretsMatch(clientSecret, authentication.clientSecret)) {
+      return null;
+    }
+
+    const now = Date.now();
+    issuedTokens.forEach((issued, token) => {
+      if (issued.expires < now) {
+        issuedTokens.delete(token);
+      }
+    });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    issuedTokens.set(token, { clientId, expires: now + TOKEN_LIFETIME_SECONDS * 1000 });
+    return { access_token: token, token_type: 'Bearer', expires_in: TOKEN_LIFETIME_SECONDS };
+  }
+
+  /**
+   * Validate, store and apply a callback posted by Conga Sign
+   * @param {Object} payload - Request body
+   * @returns {Object} Stored event with the outcome of applying it
+   */
+  receiveEvent(payload) {
+    const problem = validateCallbackEvent(payload);
+    if (problem) {
+      throw new Error(`Invalid callback: ${problem}`);
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      received: new Date().toISOString(),
+      ...normalizeCallbackEvent(payload),
+      applied: false,
+      outcome: null,
+      payload
+    };
+
+    try {
+      const result = this.transactionManager.applyCallbackEvent(event);
+      event.applied = result.applied;
+      event.outcome = result.details;
+    } catch (error) {
+      console.error(`Error applying callback ${event.name} for package ${event.packageId}:`, error);
+      event.outcome = `Failed to apply: ${error.message}`;
+    }
+
+    this.saveEvents([...this.loadEvents(), event]);
+    return event;
+  }
+
+  /**
+   * List received events, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.packageId] - Only events for this package
+   * @param {string} [filters.name] - Only events with this name
+   * @param {number} [filters.limit] - Maximum number of events
+   * @returns {Array<Object>} Events
+   */
+  listEvents({ packageId, name, limit } = {}) {
+    const events = this.loadEvents()
+      .filter(event => !packageId || event.packageId === packageId)
+      .filter(event => !name || event.name === name)
+      .reverse();
+
+    return limit ? events.slice(0, limit) : events;
+  }
+
+  /**
+   * Delete every received event
+   */
+  clearEvents() {
+    this.saveEvents([]);
+  }
+
+  /**
+   * Get the account's callback registration from Conga Sign
+   * @returns {Promise<Object|null>} Registration, or null if none is registered
+   */
+  async getRegistration() {
+    try {
+      return await this.apiClient.getCallbacks();
+    } catch (error) {
+      if (error instanceof CongaApiError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build a complete registration from the submitted options. A key or client
+   * secret left empty or sent back as the redacted placeholder keeps the value
+   * saved with the last registration, so the page never needs the real secrets.
+   * @param {Object} options - { url, events, authType, key, authentication }
+   * @returns {Object} Registration body for Conga Sign
+   */
+  prepareRegistration(options = {}) {
+    const saved = this.apiClient.configManager.getConfig(true).callbackRegistration || {};
+    const keep = (value, savedValue) => (!value || value === REDACTED_SECRET ? savedValue : value);
+
+    const authentication = options.authentication && {
+      ...options.authentication,
+      clientSecret: keep(options.authentication.clientSecret, saved.authentication && saved.authentication.clientSecret)
+    };
+
+    return this.apiClient.buildCallbackRegistration({
+      ...options,
+      key: keep(options.key, saved.key),
+      authentication
+    });
+  }
+
+  /**
+   * Register or update the account's callback registration and keep a copy
+   * in the configuration
+   * @param {Object} registration - Complete registration, see prepareRegistration
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.update] - Replace the existing registration instead of creating one
+   * @returns {Promise<Object>} Saved registration
+   */
+  async saveRegistration(registration, { update = false } = {}) {
+    const response = update
+      ? await this.apiClient.updateCallbacks(registration)
+      : await this.apiClient.registerCallbacks(registration);
+
+    this.apiClient.configManager.updateConfig({
+      callbackUrl: registration.url,
+      callbackRegistration: registration
+    });
+
+    return response && response.url ? response : registration;
+  }
+
+  /**
+   * Remove the account's callback registration
+   * @returns {Promise<void>}
+   */
+  async removeRegistration() {
+    try {
+      await this.apiClient.deleteCallbacks();
+    } catch (error) {
+      if (!(error instanceof CongaApiError && error.status === 404)) {
+        throw error;
+      }
+    }
+
+    this.apiClient.configManager.updateConfig({ callbackRegistration: null });
+  }
+}
+
+export default CallbackManager;
@@ -0,0 +1,260 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import TransactionManager from './TransactionManager.js';
+import NotFoundError from './NotFoundError.js';
+import {
+  buildCallbackPayload,
+  CALLBACK_EVENTS,
+  DEFAULT_CALLBACK_EVENTS,
+  DOCUMENT_EVENTS,
+  SIGNER_EVENTS
+} from './CallbackEvents.js';
+
+// Number of deliveries kept before the oldest are dropped
+const MAX_DELIVERIES = 100;
+
+// How long to wait for the callback URL (and OAuth token server) to answer
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Longest response body (in characters) kept for a delivery
+const MAX_BODY_LENGTH = 5000;
+
+// Messages sent with events that carry one when the caller gives none
+const DEFAULT_MESSAGES = {
+  PACKAGE_DECLINE: 'Declined from the callback simulator',
+  PACKAGE_OPT_OUT: 'Opted out from the callback simulator'
+};
+
+// Shared by every instance so that all routers see the same deliveries
+const deliveries = [];
+
+/**
+ * Post a request, giving up after DELIVERY_TIMEOUT_MS
+ * @param {string} url - Target URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Response
+ */
+async function fetchWithTimeout(url, options) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No response from ${url} within ${DELIVERY_TIMEOUT_MS / 1000} seconds`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * CallbackSimulator
+ * Builds callback payloads for tracked transactions, signs them the way the
+ * registered authType would and posts them to the callback URL, so webhook
+ * consumers can be tested without waiting for Conga Sign
+ */
+class CallbackSimulator {
+  constructor(transactionManager = new TransactionManager(), configManager = transactionManager.apiClient.configManager) {
+    this.transactionManager = transactionManager;
+    this.configManager = configManager;
+  }
+
+  /**
+   * Get where and how callbacks are delivered: the saved callback
+   * registration, or the configured callback URL without authentication
+   * @returns {Object} { url, authType, events, key, authentication }
+   */
+  getTarget() {
+    const config = this.configManager.getConfig(true);
+    const registration = config.callbackRegistration || {};
+
+    return {
+      url: registration.url || config.callbackUrl || null,
+      authType: registration.authType || 'NO_AUTH',
+      events: registration.events || DEFAULT_CALLBACK_EVENTS,
+      key: registration.key,
+      authentication: registration.authentication
+    };
+  }
+
+  /**
+   * Build the payload Conga Sign would post for an event on a tracked transaction
+   * @param {Object} options - Event options
+   * @param {string} options.transactionId - Transaction (package) ID
+   * @param {string} options.name - Event name
+   * @param {string} [options.roleId] - Role of the signer who triggers the event, defaults to the first signer
+   * @param {string} [options.documentId] - Document of a document event, defaults to the first document
+   * @param {string} [options.message] - Event message
+   * @returns {Promise<Object>} Callback payload
+   */
+  async buildPayload({ transactionId, name, roleId, documentId, message }) {
+    if (!CALLBACK_EVENTS[name]) {
+      throw new Error(`Unknown callback event: ${name}`);
+    }
+
+    const transaction = await this.transactionManager.getTransactionById(transactionId);
+    if (!transaction) {
+      throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+    }
+
+    let sessionUser = null;
+    if (SIGNER_EVENTS.includes(name)) {
+      const signers = transaction.signers || [];
+      const signer = roleId ? signers.find(s => s.role === roleId) : signers[0];
+      if (roleId && !signer) {
+        throw new NotFoundError(`Signer role ${roleId} not found in transaction`, { resource: 'signer', id: roleId });
+      }
+      if (!signer) {
+        throw new Error('Transaction has no signers');
+      }
+      sessionUser = signer.role;
+    }
+
+    let document = null;
+    if (DOCUMENT_EVENTS.includes(name)) {
+      const documents = transaction.documents || [];
+      document = documentId ? documents.find(d => d.id === documentId) : documents[0];
+      if (documentId && !document) {
+        throw new NotFoundError(`Document ${documentId} not found in transaction`, { resource: 'document', id: documentId });
+      }
+      if (!document) {
+        throw new Error('Transaction has no documents');
+      }
+    }
+
+    return buildCallbackPayload({
+      name,
+      packageId: transaction.id,
+      sessionUser,
+      documentId: document && document.id,
+      message: message || DEFAULT_MESSAGES[name]
+    });
+  }
+
+  /**
+   * Get an OAuth 2.0 access token with the client credentials grant
+   * @param {Object} authentication - { clientId, clientSecret, authenticationServer, scope }
+   * @returns {Promise<string>} Access token
+   */
+  async fetchOAuthToken(authentication) {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: authentication.clientId,
+      client_secret: authentication.clientSecret
+    });
+    if (authentication.scope) {
+      body.append('scope', authentication.scope);
+    }
+
+    const response = await fetchWithTimeout(authentication.authenticationServer, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Token request to ${authentication.authenticationServer} failed with ${response.status}: ${text}`);
+    }
+
+    let token;
+    try {
+      token = JSON.parse(text).access_token;
+    } catch (error) {
+      token = null;
+    }
+    if (!token) {
+      throw new Error(`Token response from ${authentication.authenticationServer} has no access_token`);
+    }
+    return token;
+  }
+
+  /**
+   * Get the Authorization header the callback is signed with
+   * @param {Object} target - Delivery target, see getTarget
+   * @returns {Promise<Object>} Headers
+   */
+  async getAuthHeaders(target) {
+    switch (target.authType) {
+    case 'BASIC':
+      return { Authorization: `Basic ${target.key}` };
+    case 'OAUTH2':
+      return { Authorization: `Bearer ${await this.fetchOAuthToken(target.authentication || {})}` };
+    default:
+      return {};
+    }
+  }
+
+  /**
+   * Build a callback for a tracked transaction and post it to the callback URL
+   * @param {Object} options - Event options, see buildPayload
+   * @returns {Promise<Object>} Delivery: the payload sent and the target's response
+   */
+  async simulate(options) {
+    const target = this.getTarget();
+    if (!target.url) {
+      throw new Error('Callback URL not configured');
+    }
+
+    const payload = await this.buildPayload(options);
+    const delivery = {
+      id: crypto.randomUUID(),
+      sent: new Date().toISOString(),
+      url: target.url,
+      authType: target.authType,
+      payload,
+      status: null,
+      ok: false,
+      responseBody: null,
+      durationMs: null,
+      error: null
+    };
+
+    const started = Date.now();
+    try {
+      const response = await fetchWithTimeout(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...await this.getAuthHeaders(target)
+        },
+        body: JSON.stringify(payload)
+      });
+
+      const text = await response.text();
+      delivery.status = response.status;
+      delivery.ok = response.ok;
+      delivery.responseBody = text.length > MAX_BODY_LENGTH ? `${text.substring(0, MAX_BODY_LENGTH)}... [truncated]` : text;
+    } catch (error) {
+      console.error(`Error delivering simulated ${payload.name} callback to ${target.url}:`, error);
+      delivery.error = error.message;
+    }
+    delivery.durationMs = Date.now() - started;
+
+    deliveries.push(delivery);
+    if (deliveries.length > MAX_DELIVERIES) {
+      deliveries.splice(0, deliveries.length - MAX_DELIVERIES);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * List simulated deliveries, newest first
+   * @returns {Array<Object>} Deliveries
+   */
+  listDeliveries() {
+    return [...deliveries].reverse();
+  }
+
+  /**
+   * Delete every simulated delivery
+   */
+  clearDeliveries() {
+    deliveries.length = 0;
+  }
+}
+
+export default CallbackSimulator;
@@ -1,10 +1,10 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Setup __dirname equivalent in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { redactCallbackSecrets } from './CallbackEvents.js';
+import { decryptSecrets, encryptSecrets, getConfigKey, hasPlaintextSecrets } from './ConfigSecrets.js';
+import { validateCertificates } from './HttpAgents.js';
+import { describeDataDir, ENV_OVERRIDES, getDataDir, getEnvOverrides, SOURCES } from './EnvConfig.js';
+import NotFoundError from './NotFoundError.js';
 
 // Region URL mapping
 const REGIONS = {
@@ -22,9 +22,51 @@ const REGIONS = {
     baseUrl: 'https://rls-preview.congacloud.au',
     authUrl: 'https://login-preview.congacloud.au',
     coreappsUrl: 'https://coreapps-preview.congacloud.au'
+  },
+  // Built-in mock Conga Sign server served by this backend (see routes/mock-conga.js)
+  'mock': {
+    baseUrl: `http://localhost:${process.env.PORT || 3000}/mock-conga`,
+    authUrl: `http://localhost:${process.env.PORT || 3000}/mock-conga`,
+    coreappsUrl: `http://localhost:${process.env.PORT || 3000}/mock-conga`
   }
 };
 
+// Path of the Conga Sign API on the coreapps host
+const DEFAULT_API_PREFIX = '/api/sign/v1';
+
+// Path of the token endpoint on the auth host
+const AUTH_TOKEN_PATH = '/api/v1/auth/connect/token';
+
+// Default retry policy for transient Conga API failures
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000
+};
+
+// Default size limit for uploaded documents, in megabytes
+const DEFAULT_UPLOAD_LIMIT_MB = 200;
+
+// Profile used before any other is created, and for configs saved before profiles existed
+export const DEFAULT_PROFILE = 'default';
+
+// Profile names end up in file names, so keep them simple
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Settings that belong to one Conga Sign account. Each profile has its own;
+// everything else (retry policy, upload limit) is shared by all profiles.
+const PROFILE_FIELDS = [
+  'region',
+  'clientId',
+  'clientSecret',
+  'platformEmail',
+  'callbackUrl',
+  'callbackRegistration',
+  'accessToken',
+  'tokenExpiry',
+  'initialized'
+];
+
 // Default config structure
 const DEFAULT_CONFIG = {
   region: 'us',
@@ -34,14 +76,138 @@ const DEFAULT_CONFIG = {
   callbackUrl: '',
   accessToken: null,
   tokenExpiry: null,
+  retryPolicy: { ...DEFAULT_RETRY_POLICY },
+  uploadLimitMb: DEFAULT_UPLOAD_LIMIT_MB,
+  environments: {},
   initialized: false
 };
 
+/**
+ * Split a configuration into the active profile's settings and the shared settings
+ * @param {Object} config - Configuration of the active profile
+ * @returns {Object} { profile, shared }
+ */
+function splitConfig(config) {
+  const profile = {};
+  const shared = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (PROFILE_FIELDS.includes(key)) {
+      profile[key] = value;
+    } else if (key !== 'activeProfile') {
+      shared[key] = value;
+    }
+  });
+  return { profile, shared };
+}
+
+/**
+ * Bring a stored config file into the profiles layout. A config saved before
+ * profiles existed becomes the default profile.
+ * @param {Object} data - Parsed config file
+ * @returns {Object} { activeProfile, profiles, ...shared settings }
+ */
+function normalizeConfigFile(data) {
+  if (data.profiles && data.profiles[data.activeProfile]) {
+    return data;
+  }
+
+  const { profile, shared } = splitConfig(data);
+  return {
+    ...shared,
+    activeProfile: DEFAULT_PROFILE,
+    profiles: { ...data.profiles, [DEFAULT_PROFILE]: profile }
+  };
+}
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ * @returns {string|null} Description of the problem, or null if the name is valid
+ */
+export function validateProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    return 'Profile names must be 1 to 32 lowercase letters, digits, "-" or "_", starting with a letter or digit';
+  }
+  return null;
+}
+
+/**
+ * Check whether a value is an http(s) URL without a query or fragment
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is
+ */
+function isBaseUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && !url.search && !url.hash;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a user-defined environment
+ * @param {string} name - Environment name, selected like a region
+ * @param {Object} environment - { baseUrl, authUrl, coreappsUrl, apiPrefix, proxyUrl, caCertificates }
+ * @returns {string|null} Description of the first problem, or null if the environment is valid
+ */
+export function validateEnvironment(name, environment = {}) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    return 'Environment names must be 1 to 32 lowercase letters, digits, "-" or "_", starting with a letter or digit';
+  }
+  if (REGIONS[name]) {
+    return `"${name}" is a built-in region and cannot be redefined`;
+  }
+
+  for (const field of ['baseUrl', 'authUrl', 'coreappsUrl']) {
+    if (!isBaseUrl(environment[field])) {
+      return `${field} must be an http or https URL without a query string`;
+    }
+  }
+  if (environment.apiPrefix && !/^\/[^?#\s]*$/.test(environment.apiPrefix)) {
+    return 'apiPrefix must be a path starting with "/", e.g. /api/sign/v1';
+  }
+  if (environment.proxyUrl && !isBaseUrl(environment.proxyUrl)) {
+    return 'proxyUrl must be an http or https URL, e.g. http://localhost:8888';
+  }
+  if (environment.caCertificates) {
+    return validateCertificates(environment.caCertificates);
+  }
+
+  return null;
+}
+
+/**
+ * Bring a user-defined environment into its stored form
+ * @param {Object} environment - Environment as entered
+ * @returns {Object} Environment without trailing slashes and with defaults filled in
+ */
+function normalizeEnvironment(environment) {
+  const trim = url => url.replace(/\/+$/, '');
+  return {
+    baseUrl: trim(environment.baseUrl),
+    authUrl: trim(environment.authUrl),
+    coreappsUrl: trim(environment.coreappsUrl),
+    apiPrefix: environment.apiPrefix ? trim(environment.apiPrefix) : DEFAULT_API_PREFIX,
+    proxyUrl: environment.proxyUrl || null,
+    caCertificates: environment.caCertificates ? environment.caCertificates.trim() : null
+  };
+}
+
+/**
+ * ConfigManager
+ * Stores the configuration in data/config.json as named profiles, one per
+ * Conga Sign account, plus settings shared by all of them. this.config is the
+ * active profile merged with the shared settings, so callers never see profiles
+ * unless they ask for them. Values set through CONGA_* environment variables or
+ * the .env file (see EnvConfig) take precedence and are never written to the file.
+ */
 class ConfigManager {
   constructor() {
     // Set up file paths
-    this.dataDir = path.join(__dirname, '..', '..', '..', 'data');
+    this.dataDir = getDataDir();
     this.configFilePath = path.join(this.dataDir, 'config.json');
+    this.file = { activeProfile: DEFAULT_PROFILE, profiles: {} };
     
     // Ensure data directory exists
     this.ensureDataDirectoryExists();
@@ -64,38 +230,133 @@ class ConfigManager {
    * @returns {Object} The configuration object
    */
   loadConfig() {
+    let stored;
     try {
       // Check if file exists
-      if (fs.existsSync(this.configFilePath)) {
-        const configData = fs.readFileSync(this.configFilePath, 'utf8');
-        return JSON.parse(configData);
-      } else {
+      if (!fs.existsSync(this.configFilePath)) {
         // If file doesn't exist, create it with default config
         this.saveConfig(DEFAULT_CONFIG);
-        return { ...DEFAULT_CONFIG };
+        return this.mergeProfile(this.file.activeProfile);
       }
+
+      const configData = fs.readFileSync(this.configFilePath, 'utf8');
+      this.fileModified = this.getFileModified();
+      stored = normalizeConfigFile(JSON.parse(configData));
     } catch (error) {
       console.error('Error loading config:', error);
       // Return default config if there's an error
-      return { ...DEFAULT_CONFIG };
+      return this.mergeProfile(this.file.activeProfile);
+    }
+
+    // Not caught: without a usable key the saved config must not be replaced by defaults
+    this.file = { ...stored, profiles: this.mapProfiles(stored.profiles, decryptSecrets) };
+
+    // Configs saved before secrets were encrypted are encrypted on first load
+    if (Object.values(stored.profiles).some(hasPlaintextSecrets)) {
+      console.log('Encrypting plaintext secrets in config.json');
+      this.writeFile(this.file);
+    }
+    return this.mergeProfile(this.file.activeProfile);
+  }
+
+  /**
+   * Merge a profile with the shared settings
+   * @param {string} name - Profile name
+   * @param {boolean} applyOverrides - Whether to apply the environment overrides
+   * @returns {Object} Configuration of the profile
+   */
+  mergeProfile(name, applyOverrides = true) {
+    const shared = { ...this.file };
+    delete shared.profiles;
+    const config = { ...DEFAULT_CONFIG, ...shared, ...this.file.profiles[name], activeProfile: name };
+
+    const { values } = getEnvOverrides();
+    if (!applyOverrides || Object.keys(values).length === 0) {
+      return config;
     }
+    const overridden = { ...config, ...values };
+    overridden.initialized = Boolean(overridden.clientId && overridden.clientSecret && overridden.platformEmail);
+    return overridden;
+  }
+
+  /**
+   * Get where each overridable setting of the active profile, and the data
+   * directory, came from
+   * @returns {Object} EnvConfig SOURCES value by config key, plus dataDir
+   */
+  getConfigSources() {
+    this.syncFromDisk();
+    const { sources } = getEnvOverrides();
+    const profile = this.file.profiles[this.file.activeProfile] || {};
+    return {
+      ...Object.fromEntries(Object.keys(ENV_OVERRIDES).map(key => [
+        key,
+        sources[key] || (profile[key] ? SOURCES.CONFIG : SOURCES.DEFAULT)
+      ])),
+      dataDir: describeDataDir().source
+    };
+  }
+
+  /**
+   * Apply ConfigSecrets' encryptSecrets or decryptSecrets to every profile
+   * @param {Object} profiles - Profiles by name
+   * @param {Function} transform - encryptSecrets or decryptSecrets
+   * @returns {Object} Transformed profiles by name
+   */
+  mapProfiles(profiles, transform) {
+    const getKey = () => getConfigKey(this.dataDir);
+    return Object.fromEntries(
+      Object.entries(profiles).map(([name, profile]) => [name, transform(profile, getKey)])
+    );
+  }
+
+  /**
+   * Write the config file, with the secrets encrypted
+   * @param {Object} file - Config file contents, with profiles and plaintext secrets
+   */
+  writeFile(file) {
+    // Ensure directory exists
+    this.ensureDataDirectoryExists();
+
+    fs.writeFileSync(
+      this.configFilePath,
+      JSON.stringify({ ...file, profiles: this.mapProfiles(file.profiles, encryptSecrets) }, null, 2),
+      'utf8'
+    );
+    this.fileModified = this.getFileModified();
+    this.file = file;
+    this.config = this.mergeProfile(file.activeProfile);
   }
 
   /**
-   * Save config to JSON file
+   * Save the configuration of the active profile to the JSON file
    * @param {Object} config - Configuration object to save
    */
   saveConfig(config) {
     try {
-      // Ensure directory exists
-      this.ensureDataDirectoryExists();
-      
-      fs.writeFileSync(
-        this.configFilePath, 
-        JSON.stringify(config, null, 2), 
-        'utf8'
-      );
-      this.config = config;
+      const activeProfile = this.file.activeProfile;
+
+      // Values from the environment stay out of the file; a value that differs
+      // from the override was entered on purpose and is saved for later
+      const { values } = getEnvOverrides();
+      const stored = this.mergeProfile(activeProfile, false);
+      const persisted = { ...config };
+      Object.entries(values).forEach(([key, value]) => {
+        if (persisted[key] === value) {
+          persisted[key] = stored[key];
+        }
+      });
+      if (Object.keys(values).length > 0) {
+        persisted.initialized = Boolean(persisted.clientId && persisted.clientSecret && persisted.platformEmail);
+      }
+
+      const { profile, shared } = splitConfig(persisted);
+
+      this.writeFile({
+        ...shared,
+        activeProfile,
+        profiles: { ...this.file.profiles, [activeProfile]: profile }
+      });
       return true;
     } catch (error) {
       console.error('Error saving config:', error);
@@ -103,15 +364,44 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Get the modification time of the config file
+   * @returns {number|null} Modification time in milliseconds, or null if it cannot be read
+   */
+  getFileModified() {
+    try {
+      return fs.statSync(this.configFilePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reload the configuration if the file was changed since this instance last
+   * read or wrote it. Each router and service has its own ConfigManager, so a
+   * change saved through one (for example a new callback URL) must be picked up
+   * by the others.
+   */
+  syncFromDisk() {
+    const modified = this.getFileModified();
+    if (modified !== null && modified !== this.fileModified) {
+      this.config = this.loadConfig();
+    }
+  }
+
   /**
    * Get the current configuration
    * @param {boolean} includeSecret - Whether to include the client secret
    * @returns {Object} The current configuration
    */
   getConfig(includeSecret = false) {
+    this.syncFromDisk();
     // Optionally remove client secret for security
     if (!includeSecret) {
       const { clientSecret, ...safeConfig } = this.config;
+      if (safeConfig.callbackRegistration) {
+        safeConfig.callbackRegistration = redactCallbackSecrets(safeConfig.callbackRegistration);
+      }
       return safeConfig;
     }
     return { ...this.config };
@@ -122,9 +412,7 @@ class ConfigManager {
    * @returns {string} The complete auth URL
    */
   getFullAuthUrl() {
-    const { region } = this.config;
-    const urls = REGIONS[region] || REGIONS['us'];
-    return `${urls.authUrl}/api/v1/auth/connect/token`;
+    return `${this.getRegionUrls().authUrl}${AUTH_TOKEN_PATH}`;
   }
 
   /**
@@ -132,9 +420,8 @@ class ConfigManager {
    * @returns {string} The complete API URL
    */
   getFullApiUrl() {
-    const { region } = this.config;
-    const urls = REGIONS[region] || REGIONS['us'];
-    return `${urls.coreappsUrl}/api/sign/v1`;
+    const urls = this.getRegionUrls();
+    return `${urls.coreappsUrl}${urls.apiPrefix}`;
   }
 
   /**
@@ -142,6 +429,7 @@ class ConfigManager {
    * @returns {boolean} Whether configuration is initialized
    */
   isInitialized() {
+    this.syncFromDisk();
     return this.config && this.config.initialized === true;
   }
 
@@ -152,6 +440,8 @@ class ConfigManager {
    */
   updateConfig(newConfig) {
     try {
+      this.syncFromDisk();
+
       // Validate essential fields
       if (newConfig.clientId && typeof newConfig.clientId !== 'string') {
         throw new Error('Invalid client ID format');
@@ -165,8 +455,29 @@ class ConfigManager {
         throw new Error('Invalid platform email format');
       }
 
-      // Create updated config
-      const updatedConfig = { ...this.config, ...newConfig };
+      if (newConfig.retryPolicy) {
+        const invalidKey = Object.keys(DEFAULT_RETRY_POLICY).find(key =>
+          newConfig.retryPolicy[key] !== undefined &&
+          !(Number.isInteger(newConfig.retryPolicy[key]) && newConfig.retryPolicy[key] >= 0)
+        );
+        if (invalidKey) {
+          throw new Error(`Invalid retry policy: ${invalidKey} must be a non-negative integer`);
+        }
+      }
+
+      if (newConfig.uploadLimitMb !== undefined &&
+        !(Number.isInteger(newConfig.uploadLimitMb) && newConfig.uploadLimitMb > 0)) {
+        throw new Error('Invalid upload limit: uploadLimitMb must be a positive whole number of megabytes');
+      }
+
+      // Create updated config (saveConfig ignores activeProfile and profiles;
+      // profiles are switched with switchProfile, and environments are saved
+      // with saveEnvironment)
+      const updatedConfig = { ...this.config, ...newConfig, environments: this.config.environments };
+
+      if (newConfig.retryPolicy) {
+        updatedConfig.retryPolicy = { ...this.getRetryPolicy(), ...newConfig.retryPolicy };
+      }
       
       // If client ID or secret changed, clear the token
       if (
@@ -199,6 +510,8 @@ class ConfigManager {
    */
   updateToken(token, expiresIn = 3600) {
     try {
+      this.syncFromDisk();
+
       // Calculate expiry time (current time + expires_in - 5 min buffer)
       const expiryTime = new Date(Date.now() + (expiresIn * 1000) - (5 * 60 * 1000));
       
@@ -220,6 +533,7 @@ class ConfigManager {
    * @returns {boolean} Whether the token is valid
    */
   isTokenValid() {
+    this.syncFromDisk();
     const { accessToken, tokenExpiry } = this.config;
     
     if (!accessToken) return false;
@@ -236,22 +550,222 @@ class ConfigManager {
   }
 
   /**
-   * Get URL configuration for the selected region
-   * @returns {Object} Object containing baseUrl, authUrl, and coreappsUrl
+   * Get the retry policy applied to Conga API requests
+   * @returns {Object} Retry policy with maxRetries, baseDelayMs and maxDelayMs
+   */
+  getRetryPolicy() {
+    this.syncFromDisk();
+    return { ...DEFAULT_RETRY_POLICY, ...this.config.retryPolicy };
+  }
+
+  /**
+   * Get the largest document that can be uploaded
+   * @returns {number} Size limit in bytes
+   */
+  getUploadLimitBytes() {
+    this.syncFromDisk();
+    return (this.config.uploadLimitMb || DEFAULT_UPLOAD_LIMIT_MB) * 1024 * 1024;
+  }
+
+  /**
+   * Get URL configuration for the selected region or user-defined environment
+   * @returns {Object} Object containing baseUrl, authUrl, coreappsUrl, apiPrefix,
+   *   and for user-defined environments proxyUrl and caCertificates
    */
   getRegionUrls() {
+    this.syncFromDisk();
     const { region } = this.config;
-    return REGIONS[region] || REGIONS['us']; // Fallback to US
+    const environments = this.config.environments || {};
+    if (environments[region]) {
+      return { ...environments[region] };
+    }
+    return { ...(REGIONS[region] || REGIONS['us']), apiPrefix: DEFAULT_API_PREFIX }; // Fallback to US
+  }
+
+  /**
+   * Get the names of all selectable regions, built-in and user-defined
+   * @returns {Array<string>} Region names
+   */
+  getAvailableRegions() {
+    this.syncFromDisk();
+    return [...Object.keys(REGIONS), ...Object.keys(this.config.environments || {})];
+  }
+
+  /**
+   * List the built-in regions and the user-defined environments
+   * @returns {Array<Object>} Environments with name, builtIn and their URLs
+   */
+  listEnvironments() {
+    this.syncFromDisk();
+    return [
+      ...Object.entries(REGIONS).map(([name, urls]) => ({ name, builtIn: true, ...urls, apiPrefix: DEFAULT_API_PREFIX })),
+      ...Object.entries(this.config.environments || {}).map(([name, environment]) => ({ name, builtIn: false, ...environment }))
+    ];
+  }
+
+  /**
+   * Add or replace a user-defined environment. Environments are shared by all
+   * profiles and selected with the region setting.
+   * @param {string} name - Environment name
+   * @param {Object} environment - { baseUrl, authUrl, coreappsUrl, apiPrefix, proxyUrl, caCertificates }
+   * @returns {Object} The saved environment
+   */
+  saveEnvironment(name, environment) {
+    this.syncFromDisk();
+
+    const error = validateEnvironment(name, environment);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const saved = normalizeEnvironment(environment);
+    const environments = { ...this.config.environments, [name]: saved };
+    if (!this.saveConfig({ ...this.config, environments })) {
+      throw new Error('Failed to save the environment');
+    }
+    return { name, builtIn: false, ...saved };
+  }
+
+  /**
+   * Delete a user-defined environment that no profile uses
+   * @param {string} name - Environment name
+   */
+  deleteEnvironment(name) {
+    this.syncFromDisk();
+
+    const environments = { ...this.config.environments };
+    if (!environments[name]) {
+      throw new NotFoundError(`Environment not found: ${name}`, { resource: 'environment', id: name });
+    }
+
+    const users = Object.entries(this.file.profiles)
+      .filter(([, profile]) => profile.region === name)
+      .map(([profileName]) => profileName);
+    if (users.length > 0) {
+      throw new Error(`Environment "${name}" is used by profile ${users.map(user => `"${user}"`).join(', ')}`);
+    }
+
+    delete environments[name];
+    if (!this.saveConfig({ ...this.config, environments })) {
+      throw new Error('Failed to delete the environment');
+    }
+  }
+
+  /**
+   * Get the name of the active profile
+   * @returns {string} Profile name
+   */
+  getActiveProfile() {
+    this.syncFromDisk();
+    return this.file.activeProfile;
+  }
+
+  /**
+   * List the profiles, without their secrets
+   * @returns {Array<Object>} Profiles with name, region, clientId, platformEmail, initialized and active
+   */
+  listProfiles() {
+    this.syncFromDisk();
+    return Object.entries(this.file.profiles).map(([name, profile]) => ({
+      name,
+      region: profile.region || DEFAULT_CONFIG.region,
+      clientId: profile.clientId || '',
+      platformEmail: profile.platformEmail || '',
+      initialized: profile.initialized === true,
+      active: name === this.file.activeProfile
+    }));
+  }
+
+  /**
+   * Create a profile. Its settings start empty unless copied from another
+   * profile; tokens and callback registrations are never copied.
+   * @param {string} name - Profile name
+   * @param {Object} [options] - Options
+   * @param {string} [options.copyFrom] - Profile to copy the region, credentials and callback URL from
+   * @returns {Object} The new profile, as listed by listProfiles
+   */
+  createProfile(name, { copyFrom } = {}) {
+    this.syncFromDisk();
+
+    const nameError = validateProfileName(name);
+    if (nameError) {
+      throw new Error(nameError);
+    }
+    if (this.file.profiles[name]) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+    if (copyFrom && !this.file.profiles[copyFrom]) {
+      throw new NotFoundError(`Profile not found: ${copyFrom}`, { resource: 'profile', id: copyFrom });
+    }
+
+    const source = copyFrom ? this.file.profiles[copyFrom] : {};
+    const profile = {
+      region: source.region || DEFAULT_CONFIG.region,
+      clientId: source.clientId || '',
+      clientSecret: source.clientSecret || '',
+      platformEmail: source.platformEmail || '',
+      callbackUrl: source.callbackUrl || '',
+      accessToken: null,
+      tokenExpiry: null
+    };
+    profile.initialized = Boolean(profile.clientId && profile.clientSecret && profile.platformEmail);
+
+    this.writeFile({ ...this.file, profiles: { ...this.file.profiles, [name]: profile } });
+    return this.listProfiles().find(entry => entry.name === name);
+  }
+
+  /**
+   * Make a profile the active one. Every ConfigManager picks the change up from
+   * the config file, and every TransactionManager switches to that profile's
+   * transactions.
+   * @param {string} name - Profile name
+   * @returns {Object} Configuration of the profile
+   */
+  switchProfile(name) {
+    this.syncFromDisk();
+
+    if (!this.file.profiles[name]) {
+      throw new NotFoundError(`Profile not found: ${name}`, { resource: 'profile', id: name });
+    }
+
+    this.writeFile({ ...this.file, activeProfile: name });
+    return this.getConfig(false);
   }
 
   /**
-   * Reset the configuration to defaults
+   * Delete a profile other than the active one
+   * @param {string} name - Profile name
+   */
+  deleteProfile(name) {
+    this.syncFromDisk();
+
+    if (!this.file.profiles[name]) {
+      throw new NotFoundError(`Profile not found: ${name}`, { resource: 'profile', id: name });
+    }
+    if (name === this.file.activeProfile) {
+      throw new Error(`Profile "${name}" is active; switch to another profile before deleting it`);
+    }
+
+    const profiles = { ...this.file.profiles };
+    delete profiles[name];
+    this.writeFile({ ...this.file, profiles });
+  }
+
+  /**
+   * Reset the active profile and the shared settings to defaults. Other
+   * profiles, and the custom environments they may use, are kept.
    * @param {boolean} keepRegion - Whether to keep the current region setting
    * @returns {boolean} Success status
    */
   reset(keepRegion = true) {
     try {
-      const resetConfig = { ...DEFAULT_CONFIG };
+      this.syncFromDisk();
+
+      const resetConfig = {
+        ...DEFAULT_CONFIG,
+        retryPolicy: { ...DEFAULT_RETRY_POLICY },
+        environments: { ...this.config.environments }
+      };
       
       // Optionally keep the current region setting
       if (keepRegion && this.config.region) {
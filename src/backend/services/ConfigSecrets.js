@@ -0,0 +1,184 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { getEnvValue } from './EnvConfig.js';
+
+/**
+ * Encryption of the secrets in config.json (client secrets, access tokens and
+ * callback credentials) with AES-256-GCM, so that a copy of the data directory
+ * does not leak them.
+ *
+ * The key comes from, in order (either variable can also be set in the .env file):
+ * - CONGA_CONFIG_KEY: 64 hex characters, or a passphrase the key is derived from
+ * - CONGA_CONFIG_KEY_FILE, or ~/.conga-sandbox/config.key: 64 hex characters.
+ *   The file is created with a random key the first time a secret is saved.
+ *
+ * Encrypted values are stored as enc:v1:<iv>:<auth tag>:<ciphertext>, base64 encoded.
+ */
+export const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Secrets of a profile, as paths into the profile
+const SECRET_PATHS = [
+  ['clientSecret'],
+  ['accessToken'],
+  ['callbackRegistration', 'key'],
+  ['callbackRegistration', 'authentication', 'clientSecret']
+];
+
+// Salt for deriving a key from a passphrase; the passphrase is the secret part
+const PASSPHRASE_SALT = 'conga-sandbox-config-key';
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+// The key is read once per process
+let cachedKey = null;
+
+/**
+ * Get the default key file location
+ * @returns {string} Key file path
+ */
+export function getDefaultKeyFilePath() {
+  return path.join(os.homedir(), '.conga-sandbox', 'config.key');
+}
+
+/**
+ * Get the encryption key, creating the key file if there is no key yet
+ * @param {string} dataDir - Data directory, which must not hold the key file
+ * @returns {Buffer} 32-byte key
+ */
+export function getConfigKey(dataDir) {
+  if (cachedKey) {
+    return cachedKey;
+  }
+
+  const passphrase = getEnvValue('CONGA_CONFIG_KEY');
+  if (passphrase) {
+    cachedKey = KEY_PATTERN.test(passphrase)
+      ? Buffer.from(passphrase, 'hex')
+      : crypto.scryptSync(passphrase, PASSPHRASE_SALT, 32);
+    return cachedKey;
+  }
+
+  const keyFile = path.resolve(getEnvValue('CONGA_CONFIG_KEY_FILE') || getDefaultKeyFilePath());
+  const relative = path.relative(path.resolve(dataDir), keyFile);
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error(`The config key file must be outside the data directory: ${keyFile}`);
+  }
+
+  if (fs.existsSync(keyFile)) {
+    const stored = fs.readFileSync(keyFile, 'utf8').trim();
+    if (!KEY_PATTERN.test(stored)) {
+      throw new Error(`Invalid config key file ${keyFile}: expected 64 hex characters`);
+    }
+    cachedKey = Buffer.from(stored, 'hex');
+    return cachedKey;
+  }
+
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyFile, `${key.toString('hex')}\n`, { mode: 0o600 });
+  console.log(`Created config encryption key at ${keyFile}`);
+  cachedKey = key;
+  return cachedKey;
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} True if it is
+ */
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt a value
+ * @param {string} value - Plaintext
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Encrypted value
+ */
+export function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':')}`;
+}
+
+/**
+ * Decrypt a value
+ * @param {string} value - Encrypted value
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Plaintext
+ */
+export function decryptValue(value, key) {
+  const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Copy a profile with a function applied to each secret it has
+ * @param {Object} profile - Profile settings
+ * @param {Function} transform - Called with (value, name), returns the new value
+ * @returns {Object} Profile copy
+ */
+function mapSecrets(profile, transform) {
+  const copy = structuredClone(profile);
+  SECRET_PATHS.forEach(secretPath => {
+    const parent = secretPath.slice(0, -1).reduce((object, key) => (object ? object[key] : undefined), copy);
+    const name = secretPath[secretPath.length - 1];
+    if (parent && parent[name]) {
+      parent[name] = transform(parent[name], secretPath.join('.'));
+    }
+  });
+  return copy;
+}
+
+/**
+ * Check whether a stored profile still has secrets in plaintext
+ * @param {Object} profile - Stored profile settings
+ * @returns {boolean} True if any secret is not encrypted
+ */
+export function hasPlaintextSecrets(profile) {
+  let plaintext = false;
+  mapSecrets(profile, value => {
+    plaintext = plaintext || !isEncrypted(value);
+    return value;
+  });
+  return plaintext;
+}
+
+/**
+ * Encrypt the secrets of a profile for storage
+ * @param {Object} profile - Profile settings
+ * @param {Function} getKey - Returns the key; only called if there is a secret
+ * @returns {Object} Profile with encrypted secrets
+ */
+export function encryptSecrets(profile, getKey) {
+  return mapSecrets(profile, value => (isEncrypted(value) ? value : encryptValue(value, getKey())));
+}
+
+/**
+ * Decrypt the secrets of a stored profile. Plaintext secrets (from configs saved
+ * before encryption) are returned as they are. A secret that cannot be decrypted,
+ * because the key has changed, is dropped and has to be entered again.
+ * @param {Object} profile - Stored profile settings
+ * @param {Function} getKey - Returns the key; only called if there is an encrypted secret
+ * @returns {Object} Profile with plaintext secrets
+ */
+export function decryptSecrets(profile, getKey) {
+  return mapSecrets(profile, (value, name) => {
+    if (!isEncrypted(value)) {
+      return value;
+    }
+    const key = getKey();
+    try {
+      return decryptValue(value, key);
+    } catch (error) {
+      console.error(`Could not decrypt ${name}; the config key has changed, so it has to be entered again:`, error.message);
+      return null;
+    }
+  });
+}
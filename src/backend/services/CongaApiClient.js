@@ -1,13 +1,46 @@
 import fetch from 'node-fetch';
 import ConfigManager from './ConfigManager.js';
+import CongaApiError from './CongaApiError.js';
+import HttpTrafficLog from './HttpTrafficLog.js';
+import CongaCassette from './CongaCassette.js';
+import MultipartBody from './MultipartBody.js';
+import { getAgent } from './HttpAgents.js';
+import { buildApiAuth } from './SignerAuth.js';
+import { DEFAULT_CALLBACK_EVENTS } from './CallbackEvents.js';
+
+// HTTP statuses worth retrying: rate limiting and transient gateway failures
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Methods that are safe to send again after a network error. A POST may have
+// been applied before the connection dropped, so retrying it could create a
+// duplicate package, signer or document.
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 /**
  * CongaApiClient
  * Handles API interactions with Conga Sign
  */
 class CongaApiClient {
-  constructor() {
+  /**
+   * @param {Object} options - Client options
+   * @param {CongaCassette} [options.cassette] - Cassette to record or replay HTTP exchanges
+   *   (defaults to the one configured by CONGA_CASSETTE / CONGA_CASSETTE_MODE)
+   */
+  constructor(options = {}) {
     this.configManager = new ConfigManager();
+    this.trafficLog = new HttpTrafficLog();
+
+    const cassette = options.cassette || CongaCassette.fromEnv();
+    this.fetch = cassette ? cassette.wrapFetch(fetch) : fetch;
   }
 
   /**
@@ -35,18 +68,19 @@ class CongaApiClient {
       params.append('client_id', config.clientId);
       params.append('client_secret', config.clientSecret);
 
-      // Make auth request
-      const response = await fetch(authUrl, {
+      // Make auth request; requesting a token has no side effects, so it is
+      // retried on network errors too
+      const response = await this.fetchWithRetry(authUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
         body: params
-      });
+      }, this.getRetryPolicy({ retryNetworkErrors: true }));
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Authentication failed (${response.status}): ${errorText}`);
+        throw CongaApiError.fromResponse(response.status, errorText, authUrl, 'POST', 'Authentication failed');
       }
 
       const data = await response.json();
@@ -65,41 +99,198 @@ class CongaApiClient {
       return token;
     } catch (error) {
       console.error('Authentication error:', error);
+      if (error instanceof CongaApiError) {
+        error.message = `Failed to authenticate: ${error.message}`;
+        throw error;
+      }
       throw new Error(`Failed to authenticate: ${error.message}`);
     }
   }
 
+  /**
+   * Resolve the retry policy for a call
+   * @param {Object|boolean} [retry] - Per-call overrides, or false to disable retries.
+   *   retryNetworkErrors: true opts a non-idempotent call into network error retries.
+   * @returns {Object} Retry policy with maxRetries, baseDelayMs and maxDelayMs
+   */
+  getRetryPolicy(retry) {
+    const policy = this.configManager.getRetryPolicy();
+
+    if (retry === false) {
+      return { ...policy, maxRetries: 0 };
+    }
+
+    return { ...policy, ...retry };
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * @param {number} attempt - Zero-based number of the attempt that just failed
+   * @param {Object} retryPolicy - Retry policy
+   * @param {string|null} retryAfter - Retry-After header from the failed response
+   * @returns {number|null} Delay in milliseconds, or null if the server asked for a longer wait than allowed
+   */
+  getRetryDelay(attempt, retryPolicy, retryAfter = null) {
+    if (retryAfter) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now()
+        : seconds * 1000;
+
+      if (!Number.isNaN(delay)) {
+        return delay > retryPolicy.maxDelayMs ? null : Math.max(delay, 0);
+      }
+    }
+
+    // Exponential backoff with jitter across the upper half of the window
+    const ceiling = Math.min(retryPolicy.maxDelayMs, retryPolicy.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Send a single request and record the exchange in the traffic log
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - fetch options
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {Promise<Response>} The response
+   */
+  async fetchAndRecord(url, requestOptions, attempt = 0) {
+    const startedAt = Date.now();
+    const exchange = {
+      method: requestOptions.method,
+      url,
+      requestHeaders: requestOptions.headers,
+      requestBody: requestOptions.body,
+      attempt
+    };
+
+    try {
+      const agent = getAgent(this.configManager.getRegionUrls(), url);
+      const received = await this.fetch(url, agent ? { ...requestOptions, agent } : requestOptions);
+      const durationMs = Date.now() - startedAt;
+      const { response, body } = await this.trafficLog.readResponseBody(received);
+      this.trafficLog.record({
+        ...exchange,
+        status: response.status,
+        responseHeaders: response.headers,
+        responseBody: body,
+        durationMs
+      });
+      return response;
+    } catch (error) {
+      this.trafficLog.record({
+        ...exchange,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a URL, retrying retryable HTTP statuses, and network errors for
+   * idempotent methods or when the policy sets retryNetworkErrors
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - fetch options
+   * @param {Object} retryPolicy - Retry policy
+   * @returns {Promise<Response>} The final response
+   * @throws {CongaApiError} If the request cannot be sent
+   */
+  async fetchWithRetry(url, requestOptions, retryPolicy = this.getRetryPolicy()) {
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    const retryNetworkErrors = retryPolicy.retryNetworkErrors ?? IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < retryPolicy.maxRetries;
+      let response;
+
+      try {
+        response = await this.fetchAndRecord(url, requestOptions, attempt);
+      } catch (error) {
+        if (!canRetry || !retryNetworkErrors) {
+          throw new CongaApiError(`API request failed: ${error.message}`, {
+            endpoint: url,
+            method: requestOptions.method || 'GET',
+            cause: error
+          });
+        }
+        const delay = this.getRetryDelay(attempt, retryPolicy);
+        console.warn(`Network error calling ${url} (${error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (!canRetry || !RETRYABLE_STATUSES.includes(response.status)) {
+        return response;
+      }
+
+      const delay = this.getRetryDelay(attempt, retryPolicy, response.headers.get('retry-after'));
+      if (delay === null) {
+        // The server wants us to wait longer than the policy allows
+        return response;
+      }
+
+      console.warn(`Request to ${url} failed with ${response.status}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
   /**
    * Make API request to Conga Sign API
    * @param {string} endpoint - API endpoint
    * @param {Object} options - Request options
-   * @returns {Promise<Object>} API response
+   * @param {Object|boolean} [options.retry] - Retry policy overrides for this call, or false to disable retries
+   * @param {string} [options.responseType] - 'buffer' to return the raw body as a file
+   * @returns {Promise<Object>} API response, or { buffer, contentType, filename } for buffer responses
+   * @throws {CongaApiError} If the request fails
    */
   async request(endpoint, options = {}) {
+    const { retry, responseType, ...fetchOptions } = options;
+    const method = fetchOptions.method || 'GET';
+
+    // Get auth token first. A missing configuration is reported as it is,
+    // not as a failed request.
+    const token = await this.authenticate();
+
+    // Build full URL and request options
+    const baseApiUrl = this.configManager.getFullApiUrl();
+    const url = `${baseApiUrl}${endpoint}`;
+
     try {
-      // Get auth token first
-      const token = await this.authenticate();
-      
-      // Build full URL and request options
-      const baseApiUrl = this.configManager.getFullApiUrl();
-      const url = `${baseApiUrl}${endpoint}`;
-      
       const requestOptions = {
+        ...fetchOptions,
         headers: {
           'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json',
-          ...options.headers
-        },
-        ...options
+          ...fetchOptions.headers
+        }
       };
 
       // For FormData, let the browser set the Content-Type
-      if (options.body instanceof FormData) {
+      if (fetchOptions.body instanceof FormData) {
         delete requestOptions.headers['Content-Type'];
+      } else if (fetchOptions.body instanceof MultipartBody) {
+        requestOptions.headers['Content-Type'] = fetchOptions.body.type;
       }
 
       // Make API request
-      const response = await fetch(url, requestOptions);
+      const retryPolicy = this.getRetryPolicy(retry);
+      let response = await this.fetchWithRetry(url, requestOptions, retryPolicy);
+
+      // The stored token can look valid locally but be revoked or expired upstream.
+      // Drop it, authenticate once more and replay the original request.
+      if (response.status === 401) {
+        console.warn(`Token rejected for ${endpoint}, re-authenticating`);
+        this.configManager.updateToken(null, 0);
+
+        const freshToken = await this.authenticate();
+        requestOptions.headers = {
+          ...requestOptions.headers,
+          'Authorization': `Bearer ${freshToken}`
+        };
+        response = await this.fetchWithRetry(url, requestOptions, retryPolicy);
+      }
       
       // Handle different response types
       if (response.status === 204) {
@@ -109,7 +300,19 @@ class CongaApiClient {
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`API request failed (${response.status}): ${errorText}`);
+        throw CongaApiError.fromResponse(response.status, errorText, endpoint, method);
+      }
+
+      // Return files (signed documents, archives) as raw bytes
+      if (responseType === 'buffer') {
+        const disposition = response.headers.get('content-disposition') || '';
+        const filenameMatch = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+
+        return {
+          buffer: Buffer.from(await response.arrayBuffer()),
+          contentType: response.headers.get('content-type') || 'application/octet-stream',
+          filename: filenameMatch ? decodeURIComponent(filenameMatch[1]) : null
+        };
       }
 
       // Check if response is JSON
@@ -126,40 +329,93 @@ class CongaApiClient {
       }
     } catch (error) {
       console.error('API request error:', error);
-      throw new Error(`API request failed: ${error.message}`);
+      if (error instanceof CongaApiError) {
+        throw error;
+      }
+      // The response could not be read; no upstream status to report
+      throw new CongaApiError(`API request failed: ${error.message}`, { endpoint, method, cause: error });
     }
   }
 
   /**
-   * Set up callbacks for API events
+   * Build the callback registration body sent to Conga Sign
    * @param {Object} options - Callback options
-   * @returns {Promise<Object>} API response
+   * @param {string} [options.url] - Callback URL, defaults to the configured callbackUrl
+   * @param {Array<string>} [options.events] - Event names, defaults to DEFAULT_CALLBACK_EVENTS
+   * @param {string} [options.authType] - NO_AUTH, BASIC or OAUTH2
+   * @param {string} [options.key] - Callback key for BASIC authentication
+   * @param {Object} [options.authentication] - OAUTH2 client credentials: { clientId, clientSecret, authenticationServer, scope }
+   * @returns {Object} Registration body
    */
-  async registerCallbacks(options = {}) {
-    const config = this.configManager.getConfig();
-    if (!config.callbackUrl) {
+  buildCallbackRegistration(options = {}) {
+    const url = options.url || this.configManager.getConfig().callbackUrl;
+    if (!url) {
       throw new Error('Callback URL not configured');
     }
 
-    const events = options.events || [
-      'PACKAGE_CREATE',
-      'DOCUMENT_VIEWED',
-      'SIGNER_COMPLETE',
-      'DOCUMENT_SIGNED',
-      'PACKAGE_COMPLETE',
-      'PACKAGE_DECLINE',
-      'EMAIL_BOUNCE'
-    ];
-
-    const requestBody = {
-      events,
-      authType: options.authType || 'NO_AUTH',
-      url: config.callbackUrl
+    const authType = options.authType || 'NO_AUTH';
+    const registration = {
+      events: options.events || DEFAULT_CALLBACK_EVENTS,
+      authType,
+      url
     };
 
+    if (authType === 'BASIC') {
+      registration.key = options.key;
+    }
+
+    if (authType === 'OAUTH2') {
+      const { clientId, clientSecret, authenticationServer, scope } = options.authentication || {};
+      registration.authentication = {
+        clientId,
+        clientSecret,
+        authenticationServer,
+        ...(scope && { scope })
+      };
+    }
+
+    return registration;
+  }
+
+  /**
+   * Set up callbacks for API events
+   * @param {Object} options - Callback options, see buildCallbackRegistration
+   * @returns {Promise<Object>} API response
+   */
+  async registerCallbacks(options = {}) {
     return this.request('/cs-callback', {
       method: 'POST',
-      body: JSON.stringify(requestBody)
+      body: JSON.stringify(this.buildCallbackRegistration(options))
+    });
+  }
+
+  /**
+   * Get the account's callback registration
+   * @returns {Promise<Object>} Callback registration
+   */
+  async getCallbacks() {
+    return this.request('/cs-callback');
+  }
+
+  /**
+   * Replace the account's callback registration
+   * @param {Object} options - Callback options, see buildCallbackRegistration
+   * @returns {Promise<Object>} API response
+   */
+  async updateCallbacks(options = {}) {
+    return this.request('/cs-callback', {
+      method: 'PUT',
+      body: JSON.stringify(this.buildCallbackRegistration(options))
+    });
+  }
+
+  /**
+   * Remove the account's callback registration
+   * @returns {Promise<Object>} API response
+   */
+  async deleteCallbacks() {
+    return this.request('/cs-callback', {
+      method: 'DELETE'
     });
   }
 
@@ -191,12 +447,36 @@ class CongaApiClient {
   /**
    * Add a signer role to a package
    * @param {string} packageId - Package ID
-   * @param {Object} signerData - Signer details
+   * @param {Object} signerData - Signer details, with an optional authentication setting (see SignerAuth)
+   *   and signing order (roles with the same order sign in parallel)
    * @returns {Promise<Object>} API response
    */
   async addSigner(packageId, signerData) {
+    const requestBody = {
+      signers: [this.buildSigner(signerData)],
+      ...(signerData.order !== undefined && { index: signerData.order })
+    };
+
+    return this.request(`/cs-packages/${packageId}/roles`, {
+      method: 'POST',
+      body: JSON.stringify(requestBody)
+    });
+  }
+
+  /**
+   * Build the Conga signer object for a signer.
+   * The sandbox authentication setting is sent as Conga's auth object;
+   * the signing order belongs to the role, not the signer.
+   * @param {Object} signerData - Signer details
+   * @returns {Object} Conga signer
+   */
+  buildSigner(signerData) {
+    const signerDetails = { ...signerData };
+    delete signerDetails.authentication;
+    delete signerDetails.order;
+
     // Create signer data with defaults
-    const signer = {
+    return {
       name: `${signerData.firstName} ${signerData.lastName}`,
       company: signerData.company || '',
       delivery: {
@@ -206,42 +486,81 @@ class CongaApiClient {
       lastName: signerData.lastName,
       email: signerData.email,
       signerType: 'EXTERNAL_SIGNER',
-      ...signerData
+      ...signerDetails,
+      ...(signerData.authentication && { auth: buildApiAuth(signerData.authentication) })
     };
+  }
 
-    const requestBody = {
-      signers: [signer]
-    };
+  /**
+   * Replace the signer of a draft package's role
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   * @param {Object} signerData - New signer details, with an optional authentication setting
+   * @returns {Promise<Object>} API response
+   */
+  async updateSigner(packageId, roleId, signerData) {
+    return this.request(`/cs-packages/${packageId}/roles/${roleId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ signers: [this.buildSigner(signerData)] })
+    });
+  }
+
+  /**
+   * Remove a role, and its fields, from a draft package
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} API response
+   */
+  async deleteRole(packageId, roleId) {
+    return this.request(`/cs-packages/${packageId}/roles/${roleId}`, {
+      method: 'DELETE'
+    });
+  }
 
+  /**
+   * Change the signing order of a draft package's roles
+   * @param {string} packageId - Package ID
+   * @param {Array<Object>} roles - Roles to update: [{ id, index }]
+   * @returns {Promise<Object>} API response
+   */
+  async updateRoleOrder(packageId, roles) {
     return this.request(`/cs-packages/${packageId}/roles`, {
-      method: 'POST',
-      body: JSON.stringify(requestBody)
+      method: 'PUT',
+      body: JSON.stringify(roles)
     });
   }
 
   /**
-   * Add a document to a package
+   * Add a document to a package. Files uploaded to disk (multer disk storage)
+   * are streamed from disk rather than read into memory.
    * @param {string} packageId - Package ID
-   * @param {File|Blob|Object} file - Document file
+   * @param {File|Blob|Object} file - Document file: a Blob, or a multer file with a path or buffer
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Called with (bytesSent, totalBytes) while the file is sent
    * @returns {Promise<Object>} API response
    */
-  async addDocument(packageId, file) {
-    const formData = new FormData();
-    
+  async addDocument(packageId, file, { onProgress } = {}) {
+    let body;
+
     // Handle different file types
     if (file instanceof Blob) {
-      formData.append('file', file, file.name || 'document.pdf');
-    } else if (file.buffer) {
-      // Handle Node.js Buffer from multer or similar
-      const blob = new Blob([file.buffer], { type: file.mimetype || 'application/pdf' });
-      formData.append('file', blob, file.originalname || file.name || 'document.pdf');
+      body = new FormData();
+      body.append('file', file, file.name || 'document.pdf');
+    } else if (file.path || file.buffer) {
+      // Multer file on disk, or a Node.js Buffer from multer memory storage or similar
+      body = new MultipartBody({
+        path: file.path,
+        buffer: file.buffer,
+        filename: file.originalname || file.name || 'document.pdf',
+        contentType: file.mimetype || 'application/pdf'
+      }, { onProgress });
     } else {
       throw new Error('Invalid file format');
     }
 
     return this.request(`/cs-packages/${packageId}/documents`, {
       method: 'POST',
-      body: formData
+      body
     });
   }
 
@@ -265,8 +584,20 @@ class CongaApiClient {
       ...fieldOptions
     };
 
+    return this.addFields(packageId, documentId, roleId, [field]);
+  }
+
+  /**
+   * Add fields of any type to a document as one approval for a signer role
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @param {string} roleId - Signer role ID
+   * @param {Array<Object>} fields - Conga approval fields (see FieldTypes.buildApiFields)
+   * @returns {Promise<Object>} API response
+   */
+  async addFields(packageId, documentId, roleId, fields) {
     const requestBody = {
-      fields: [field],
+      fields,
       role: roleId
     };
 
@@ -276,6 +607,45 @@ class CongaApiClient {
     });
   }
 
+  /**
+   * Remove a document from a draft package
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} API response
+   */
+  async deleteDocument(packageId, documentId) {
+    return this.request(`/cs-packages/${packageId}/documents/${documentId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Remove a field from a document of a draft package
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @param {string} approvalId - Approval holding the field
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<Object>} API response
+   */
+  async deleteField(packageId, documentId, approvalId, fieldId) {
+    return this.request(`/cs-packages/${packageId}/documents/${documentId}/approvals/${approvalId}/fields/${fieldId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  /**
+   * Update the details of a draft package
+   * @param {string} packageId - Package ID
+   * @param {Object} updates - Any of name, description and emailMessage
+   * @returns {Promise<Object>} API response
+   */
+  async updatePackage(packageId, updates) {
+    return this.request(`/cs-packages/${packageId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  }
+
   /**
    * Send package for signing
    * @param {string} packageId - Package ID
@@ -335,6 +705,154 @@ class CongaApiClient {
     }
   }
 
+  /**
+   * Walk every page of the package list, one request per page, until the
+   * server returns an empty or short page
+   * @param {Object} options - List options
+   * @param {string} [options.ownerEmail] - Owner email (default: platform email from config)
+   * @param {number} [options.pageSize] - Packages requested per page (default: 100)
+   * @param {number} [options.from] - Index to start from (default: 1)
+   * @param {Function} [options.onPage] - Called after each page with { page, from, to, received, total }
+   * @returns {AsyncGenerator<Object>} Packages, in the order the server lists them
+   */
+  async *iteratePackages({ ownerEmail, pageSize = 100, from = 1, onPage } = {}) {
+    let page = 0;
+    let previousFirstId = null;
+
+    while (true) {
+      const to = from + pageSize - 1;
+      const response = await this.listPackages({ ownerEmail, from, to });
+      const packages = (response && (response.packages || response.results)) || [];
+
+      // A server that ignores 'from' would return the same page forever
+      if (packages.length === 0 || (packages[0].id && packages[0].id === previousFirstId)) {
+        return;
+      }
+
+      page++;
+      if (onPage) {
+        onPage({ page, from, to, received: packages.length, total: response.count ?? null });
+      }
+
+      yield* packages;
+
+      if (packages.length < pageSize) {
+        return;
+      }
+      previousFirstId = packages[0].id;
+      from = to + 1;
+    }
+  }
+
+  /**
+   * List templates available to the account
+   * @param {Object} options - List options (from, to)
+   * @returns {Promise<Object>} API response
+   */
+  async listTemplates(options = {}) {
+    const from = options.from || 1;
+    const to = options.to || 100;
+
+    return this.request(`/cs-packages?type=TEMPLATE&from=${from}&to=${to}`, {
+      method: 'GET'
+    });
+  }
+
+  /**
+   * Get a template, including its placeholder roles and documents
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} API response
+   */
+  async getTemplate(templateId) {
+    return this.request(`/cs-packages/${templateId}`, {
+      method: 'GET'
+    });
+  }
+
+  /**
+   * Create a package from a template
+   * @param {string} templateId - Template ID
+   * @param {Object} packageData - Package details
+   * @param {Array} packageData.roles - Template roles ({ id, name }) with the signers bound to them
+   * @returns {Promise<Object>} Created package
+   */
+  async createPackageFromTemplate(templateId, packageData = {}) {
+    const config = this.configManager.getConfig();
+
+    const requestBody = {
+      type: 'PACKAGE',
+      sender: {
+        email: packageData.senderEmail || config.platformEmail
+      },
+      ...packageData
+    };
+
+    return this.request(`/cs-packages/${templateId}/clone`, {
+      method: 'POST',
+      body: JSON.stringify(requestBody)
+    });
+  }
+
+  /**
+   * Get full details of a package, including roles, documents and approvals
+   * @param {string} packageId - Package ID
+   * @returns {Promise<Object>} API response
+   */
+  async getPackage(packageId) {
+    return this.request(`/cs-packages/${packageId}`, {
+      method: 'GET'
+    });
+  }
+
+  /**
+   * Download a single signed document
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadDocument(packageId, documentId) {
+    return this.request(`/cs-packages/${packageId}/documents/${documentId}/pdf`, {
+      method: 'GET',
+      responseType: 'buffer'
+    });
+  }
+
+  /**
+   * Download every document of a package as a zip archive
+   * @param {string} packageId - Package ID
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadDocumentsZip(packageId) {
+    return this.request(`/cs-packages/${packageId}/documents/zip`, {
+      method: 'GET',
+      responseType: 'buffer'
+    });
+  }
+
+  /**
+   * Download all documents of a package merged into one PDF
+   * @param {string} packageId - Package ID
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadCombinedPdf(packageId) {
+    return this.request(`/cs-packages/${packageId}/documents/pdf`, {
+      method: 'GET',
+      responseType: 'buffer'
+    });
+  }
+
+  /**
+   * Download the evidence summary of a completed package
+   * @param {string} packageId - Package ID
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadEvidenceSummary(packageId) {
+    return this.request(`/cs-packages/${packageId}/evidence/summary`, {
+      method: 'GET',
+      responseType: 'buffer'
+    });
+  }
+
   /**
    * Get signing status of a package
    * @param {string} packageId - Package ID
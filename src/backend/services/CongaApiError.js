@@ -0,0 +1,75 @@
+/**
+ * CongaApiError
+ * Error raised when a call to the Conga Sign API fails.
+ * Keeps the upstream status, error code and response body so that callers
+ * can react to the failure instead of parsing the message.
+ */
+class CongaApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {number|null} details.status - HTTP status returned by Conga Sign (null for network failures)
+   * @param {string|number|null} details.code - Conga error code from the response body
+   * @param {Object|string|null} details.body - Parsed response body
+   * @param {string} details.endpoint - API endpoint that was called
+   * @param {string} details.method - HTTP method
+   * @param {Error} [details.cause] - Underlying error, if any
+   */
+  constructor(message, { status = null, code = null, body = null, endpoint = null, method = 'GET', cause } = {}) {
+    super(message);
+    this.name = 'CongaApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.cause = cause;
+  }
+
+  /**
+   * Build an error from a failed HTTP response body
+   * @param {number} status - HTTP status
+   * @param {string} responseText - Raw response body
+   * @param {string} endpoint - API endpoint that was called
+   * @param {string} method - HTTP method
+   * @param {string} prefix - Message prefix
+   * @returns {CongaApiError} The error
+   */
+  static fromResponse(status, responseText, endpoint, method, prefix = 'API request failed') {
+    let body = responseText;
+    try {
+      body = JSON.parse(responseText);
+    } catch (error) {
+      // Not JSON, keep the raw text
+    }
+
+    const code = body && typeof body === 'object'
+      ? body.messageKey || body.code || body.error || null
+      : null;
+
+    return new CongaApiError(`${prefix} (${status}): ${responseText}`, {
+      status,
+      code,
+      body,
+      endpoint,
+      method
+    });
+  }
+
+  /**
+   * Serializable summary of the failure
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      body: this.body,
+      endpoint: this.endpoint,
+      method: this.method
+    };
+  }
+}
+
+export default CongaApiError;
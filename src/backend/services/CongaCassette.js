@@ -0,0 +1,306 @@
+import fs from 'fs';
+import path from 'path';
+import MultipartBody from './MultipartBody.js';
+import { getEnvValue } from './EnvConfig.js';
+
+const CASSETTE_MODES = ['record', 'replay'];
+const CASSETTE_VERSION = 1;
+
+// Replaces every secret written to a cassette
+const SCRUBBED = '[SCRUBBED]';
+
+// Body fields that hold credentials or tokens
+const SECRET_FIELDS = ['client_id', 'client_secret', 'clientsecret', 'access_token', 'refresh_token', 'token', 'password', 'answer', 'key'];
+
+// Response headers worth keeping; everything else (dates, cookies, etags) is dropped
+const RECORDED_HEADERS = ['content-type', 'content-disposition', 'retry-after'];
+
+// Statuses that must not carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Cassette created from the environment, shared so every client writes to the same file
+let envCassette = null;
+
+/**
+ * Replace secret values in a parsed body
+ * @param {*} value - Parsed body
+ * @returns {*} Copy with secrets scrubbed
+ */
+function scrubValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(scrubValue);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SECRET_FIELDS.includes(key.toLowerCase()) ? SCRUBBED : scrubValue(nested)
+    ]));
+  }
+
+  return value;
+}
+
+/**
+ * Sort object keys so that equal JSON bodies compare equal
+ * @param {*} value - Parsed body
+ * @returns {*} Copy with sorted keys
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+
+  return value;
+}
+
+/**
+ * CongaCassette
+ * Records Conga Sign HTTP exchanges to a fixture file and replays them,
+ * so tests can run against real payloads without network access.
+ */
+class CongaCassette {
+  /**
+   * @param {string} filePath - Path to the cassette JSON file
+   * @param {string} mode - 'record' to capture real responses, 'replay' to serve recorded ones
+   */
+  constructor(filePath, mode = 'replay') {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Invalid cassette mode "${mode}". Must be one of: ${CASSETTE_MODES.join(', ')}`);
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.mode = mode;
+    this.interactions = [];
+
+    if (mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * Get the cassette configured by the CONGA_CASSETTE and CONGA_CASSETTE_MODE environment variables,
+   * or the same variables in the .env file. Every caller gets the same instance.
+   * @returns {CongaCassette|null} The cassette, or null if none is configured
+   */
+  static fromEnv() {
+    const file = getEnvValue('CONGA_CASSETTE');
+    if (!file) {
+      return null;
+    }
+
+    if (!envCassette) {
+      envCassette = new CongaCassette(file, getEnvValue('CONGA_CASSETTE_MODE') || 'replay');
+    }
+    return envCassette;
+  }
+
+  /**
+   * Load recorded interactions from disk
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`Cassette not found: ${this.filePath}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.interactions = (data.interactions || []).map(interaction => ({ ...interaction, used: false }));
+  }
+
+  /**
+   * Write recorded interactions to disk
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions.map(interaction => ({
+        request: interaction.request,
+        response: interaction.response
+      }))
+    };
+
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Build the part of a request used to match it against recorded interactions.
+   * The path starts at "/api/" so cassettes recorded in one region replay in any other.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Object} Matching key with method, path and body
+   */
+  getRequestKey(url, options = {}) {
+    const { pathname, search } = new URL(url);
+    const apiIndex = pathname.indexOf('/api/');
+
+    return {
+      method: (options.method || 'GET').toUpperCase(),
+      path: `${apiIndex >= 0 ? pathname.substring(apiIndex) : pathname}${search}`,
+      body: this.normalizeBody(options.body)
+    };
+  }
+
+  /**
+   * Convert a request body into a comparable, secret-free value
+   * @param {*} body - fetch request body
+   * @returns {*} Normalized body
+   */
+  normalizeBody(body) {
+    if (body === undefined || body === null) {
+      return null;
+    }
+
+    if (typeof body === 'string') {
+      try {
+        return sortKeys(scrubValue(JSON.parse(body)));
+      } catch (error) {
+        return body;
+      }
+    }
+
+    if (body instanceof URLSearchParams) {
+      return sortKeys(scrubValue(Object.fromEntries(body.entries())));
+    }
+
+    if (body instanceof FormData) {
+      // File contents are not compared, only the part names and file names
+      const parts = {};
+      for (const [name, value] of body.entries()) {
+        parts[name] = value instanceof Blob ? { filename: value.name || null } : value;
+      }
+      return sortKeys(parts);
+    }
+
+    if (body instanceof MultipartBody) {
+      return { file: { filename: body.filename } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the recorded interaction for a request.
+   * Identical requests are answered in the order they were recorded; once they
+   * have all been used, the last one is repeated.
+   * @param {Object} key - Request key
+   * @returns {Object|null} The interaction
+   */
+  findInteraction(key) {
+    const keyJson = JSON.stringify(key);
+    const matches = this.interactions.filter(interaction => JSON.stringify(interaction.request) === keyJson);
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const interaction = matches.find(match => !match.used) || matches[matches.length - 1];
+    interaction.used = true;
+    return interaction;
+  }
+
+  /**
+   * Wrap a fetch function so that requests are recorded or replayed
+   * @param {Function} realFetch - fetch used in record mode
+   * @returns {Function} fetch-compatible function
+   */
+  wrapFetch(realFetch) {
+    return async (url, options = {}) => {
+      const key = this.getRequestKey(url, options);
+
+      if (this.mode === 'replay') {
+        const interaction = this.findInteraction(key);
+        if (!interaction) {
+          throw new Error(`No recorded interaction in ${path.basename(this.filePath)} for ${key.method} ${key.path}`);
+        }
+        return this.createResponse(interaction.response);
+      }
+
+      const response = await realFetch(url, options);
+      const buffer = Buffer.from(await response.arrayBuffer());
+
+      this.interactions.push({ request: key, response: this.recordResponse(response, buffer) });
+      this.save();
+
+      // The caller gets the real, unscrubbed response
+      return new Response(NULL_BODY_STATUSES.includes(response.status) ? null : buffer, {
+        status: response.status,
+        headers: response.headers
+      });
+    };
+  }
+
+  /**
+   * Capture a response in a form that can be written to the cassette
+   * @param {Response} response - Real fetch response
+   * @param {Buffer} buffer - Response body
+   * @returns {Object} Recorded response with secrets scrubbed
+   */
+  recordResponse(response, buffer) {
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value) {
+        headers[name] = value;
+      }
+    });
+
+    const contentType = headers['content-type'] || '';
+    const recorded = { status: response.status, headers };
+
+    if (contentType.includes('json')) {
+      try {
+        recorded.body = scrubValue(JSON.parse(buffer.toString('utf8')));
+        recorded.encoding = 'json';
+        return recorded;
+      } catch (error) {
+        // Fall through and store it as text
+      }
+    }
+
+    if (contentType && !/json|text|xml|html/.test(contentType)) {
+      recorded.body = buffer.toString('base64');
+      recorded.encoding = 'base64';
+    } else {
+      recorded.body = buffer.toString('utf8');
+      recorded.encoding = 'utf8';
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Build a fetch Response from a recorded response
+   * @param {Object} recorded - Recorded response
+   * @returns {Response} The response
+   */
+  createResponse(recorded) {
+    let body = null;
+
+    if (!NULL_BODY_STATUSES.includes(recorded.status)) {
+      if (recorded.encoding === 'json') {
+        body = JSON.stringify(recorded.body);
+      } else if (recorded.encoding === 'base64') {
+        body = Buffer.from(recorded.body, 'base64');
+      } else {
+        body = recorded.body;
+      }
+    }
+
+    return new Response(body, {
+      status: recorded.status,
+      headers: recorded.headers
+    });
+  }
+}
+
+export default CongaCassette;
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Configuration from CONGA_* environment variables and a .env file, for running
+ * the sandbox headless in scripts and containers. A setting is taken from, in order:
+ * - the process environment
+ * - the .env file in the project root, or the file named by CONGA_ENV_FILE
+ * - data/config.json
+ * - the built-in default
+ *
+ * The .env file is read once, when the first setting is looked up.
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.join(__dirname, '..', '..', '..');
+
+// Config keys that can be overridden, and their environment variables
+export const ENV_OVERRIDES = {
+  region: 'CONGA_REGION',
+  clientId: 'CONGA_CLIENT_ID',
+  clientSecret: 'CONGA_CLIENT_SECRET',
+  platformEmail: 'CONGA_PLATFORM_EMAIL',
+  callbackUrl: 'CONGA_CALLBACK_URL'
+};
+
+// Directory holding config.json, the transactions and the callbacks
+export const DATA_DIR_VARIABLE = 'CONGA_DATA_DIR';
+
+// Where a setting came from, highest precedence first
+export const SOURCES = {
+  ENV: 'env',
+  DOTENV: 'dotenv',
+  CONFIG: 'config',
+  DEFAULT: 'default'
+};
+
+const LINE_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/;
+
+// Variables from the .env file, read on first use
+let dotEnv = null;
+
+/**
+ * Parse the contents of a .env file. Supports comments, "export" prefixes and
+ * single or double quoted values; \n in a double quoted value is a newline.
+ * @param {string} text - File contents
+ * @returns {Object} Values by variable name
+ */
+export function parseDotEnv(text) {
+  const values = {};
+  String(text).split(/\r?\n/).forEach(line => {
+    const match = line.match(LINE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+      }
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+/**
+ * Get the location of the .env file
+ * @returns {string} File path
+ */
+export function getDotEnvPath() {
+  return process.env.CONGA_ENV_FILE
+    ? path.resolve(PROJECT_ROOT, process.env.CONGA_ENV_FILE)
+    : path.join(PROJECT_ROOT, '.env');
+}
+
+/**
+ * Get the variables of the .env file
+ * @returns {Object} Values by variable name, empty if there is no file
+ */
+function readDotEnv() {
+  if (!dotEnv) {
+    const file = getDotEnvPath();
+    try {
+      dotEnv = fs.existsSync(file) ? parseDotEnv(fs.readFileSync(file, 'utf8')) : {};
+    } catch (error) {
+      console.error(`Error reading ${file}:`, error);
+      dotEnv = {};
+    }
+  }
+  return dotEnv;
+}
+
+/**
+ * Look up a variable in the process environment, then in the .env file
+ * @param {string} name - Variable name
+ * @returns {{value: string, source: string}|null} Value and source, or null if it is not set
+ */
+export function getEnvSetting(name) {
+  if (process.env[name]) {
+    return { value: process.env[name], source: SOURCES.ENV };
+  }
+  const fromFile = readDotEnv()[name];
+  return fromFile ? { value: fromFile, source: SOURCES.DOTENV } : null;
+}
+
+/**
+ * Get the value of a variable from the process environment or the .env file
+ * @param {string} name - Variable name
+ * @returns {string|undefined} Value, or undefined if it is not set
+ */
+export function getEnvValue(name) {
+  const setting = getEnvSetting(name);
+  return setting ? setting.value : undefined;
+}
+
+/**
+ * Get the config values set through the environment
+ * @returns {{values: Object, sources: Object}} Overridden values and their sources, by config key
+ */
+export function getEnvOverrides() {
+  const values = {};
+  const sources = {};
+  Object.entries(ENV_OVERRIDES).forEach(([key, name]) => {
+    const setting = getEnvSetting(name);
+    if (setting) {
+      values[key] = setting.value;
+      sources[key] = setting.source;
+    }
+  });
+  return { values, sources };
+}
+
+/**
+ * Get the data directory and where it was set. A relative CONGA_DATA_DIR is
+ * resolved from the project root.
+ * @returns {{value: string, source: string}} Absolute directory and source
+ */
+export function describeDataDir() {
+  const setting = getEnvSetting(DATA_DIR_VARIABLE);
+  if (setting) {
+    return { value: path.resolve(PROJECT_ROOT, setting.value), source: setting.source };
+  }
+  return { value: path.join(PROJECT_ROOT, 'data'), source: SOURCES.DEFAULT };
+}
+
+/**
+ * Get the data directory
+ * @returns {string} Directory path
+ */
+export function getDataDir() {
+  return describeDataDir().value;
+}
@@ -0,0 +1,216 @@
+/**
+ * Field types supported by the sandbox and how they map onto Conga Sign approval fields.
+ *
+ * Each type lists the Conga type/subtype it is sent as, its default size and
+ * the validation options it accepts.
+ */
+export const FIELD_TYPES = {
+  SIGNATURE: {
+    api: { type: 'SIGNATURE', subtype: 'FULLNAME' },
+    size: { width: 200, height: 50 },
+    options: []
+  },
+  INITIALS: {
+    api: { type: 'SIGNATURE', subtype: 'INITIALS' },
+    size: { width: 80, height: 40 },
+    options: []
+  },
+  SIGNING_DATE: {
+    // Conga fills the label with the date the role signed
+    api: { type: 'INPUT', subtype: 'LABEL', binding: '{approval.signed}' },
+    size: { width: 150, height: 20 },
+    options: []
+  },
+  TEXT: {
+    api: { type: 'INPUT', subtype: 'TEXTFIELD' },
+    size: { width: 200, height: 20 },
+    options: ['required', 'pattern', 'minLength', 'maxLength', 'errorMessage', 'value']
+  },
+  CHECKBOX: {
+    api: { type: 'INPUT', subtype: 'CHECKBOX' },
+    size: { width: 20, height: 20 },
+    options: ['required', 'value']
+  },
+  RADIO: {
+    api: { type: 'INPUT', subtype: 'RADIO' },
+    size: { width: 20, height: 20 },
+    options: ['required', 'options', 'group', 'value']
+  },
+  DROPDOWN: {
+    api: { type: 'INPUT', subtype: 'LIST' },
+    size: { width: 200, height: 20 },
+    options: ['required', 'options', 'value']
+  },
+  LABEL: {
+    api: { type: 'INPUT', subtype: 'LABEL' },
+    size: { width: 200, height: 20 },
+    options: ['value']
+  }
+};
+
+// Validation options a field may carry, across all types
+const VALIDATION_OPTIONS = ['required', 'pattern', 'minLength', 'maxLength', 'errorMessage', 'options', 'group', 'value'];
+
+// Vertical gap between the buttons of a radio group
+const RADIO_SPACING = 10;
+
+/**
+ * Check field options against the rules of their type
+ * @param {Object} fieldOptions - Field options with type, position and validation
+ * @returns {string|null} Description of the first problem, or null if the options are valid
+ */
+export function validateField(fieldOptions = {}) {
+  const typeName = (fieldOptions.type || 'SIGNATURE').toUpperCase();
+  const fieldType = FIELD_TYPES[typeName];
+
+  if (!fieldType) {
+    return `Unknown field type "${fieldOptions.type}". Must be one of: ${Object.keys(FIELD_TYPES).join(', ')}`;
+  }
+
+  const unsupported = VALIDATION_OPTIONS.filter(option =>
+    fieldOptions[option] !== undefined && !fieldType.options.includes(option)
+  );
+  if (unsupported.length > 0) {
+    return `${typeName} fields do not support: ${unsupported.join(', ')}`;
+  }
+
+  if (fieldOptions.required !== undefined && typeof fieldOptions.required !== 'boolean') {
+    return 'required must be true or false';
+  }
+
+  if (fieldOptions.pattern !== undefined) {
+    try {
+      new RegExp(fieldOptions.pattern);
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+
+  for (const option of ['minLength', 'maxLength']) {
+    if (fieldOptions[option] !== undefined && !(Number.isInteger(fieldOptions[option]) && fieldOptions[option] > 0)) {
+      return `${option} must be a positive whole number`;
+    }
+  }
+  if (fieldOptions.minLength && fieldOptions.maxLength && fieldOptions.minLength > fieldOptions.maxLength) {
+    return 'minLength cannot be greater than maxLength';
+  }
+
+  if (fieldType.options.includes('options')) {
+    const options = fieldOptions.options;
+    if (!Array.isArray(options) || options.length === 0 || options.some(option => typeof option !== 'string' || !option)) {
+      return `${typeName} fields need a list of options`;
+    }
+    if (new Set(options).size !== options.length) {
+      return 'Options must be unique';
+    }
+    if (fieldOptions.value !== undefined && fieldOptions.value !== '' && !options.includes(fieldOptions.value)) {
+      return `Default value "${fieldOptions.value}" is not one of the options`;
+    }
+  }
+
+  if (typeName === 'LABEL' && !fieldOptions.value) {
+    return 'LABEL fields need a value to display';
+  }
+
+  return null;
+}
+
+/**
+ * Build the Conga Sign approval fields for a sandbox field definition.
+ * Radio groups become one field per option, stacked below the first.
+ * @param {Object} fieldOptions - Field options with type, position and validation
+ * @returns {Array<Object>} Fields for the approval request body
+ */
+export function buildApiFields(fieldOptions = {}) {
+  const problem = validateField(fieldOptions);
+  if (problem) {
+    throw new Error(`Invalid field: ${problem}`);
+  }
+
+  const typeName = (fieldOptions.type || 'SIGNATURE').toUpperCase();
+  const fieldType = FIELD_TYPES[typeName];
+
+  const base = {
+    ...fieldType.api,
+    page: fieldOptions.page || 0,
+    left: fieldOptions.left || 100,
+    top: fieldOptions.top || 100,
+    width: fieldOptions.width || fieldType.size.width,
+    height: fieldOptions.height || fieldType.size.height,
+    ...(fieldOptions.name && { name: fieldOptions.name })
+  };
+
+  const validation = {
+    ...(fieldOptions.required !== undefined && { required: fieldOptions.required }),
+    ...(fieldOptions.pattern !== undefined && { pattern: fieldOptions.pattern }),
+    ...(fieldOptions.minLength !== undefined && { minLength: fieldOptions.minLength }),
+    ...(fieldOptions.maxLength !== undefined && { maxLength: fieldOptions.maxLength }),
+    ...(fieldOptions.errorMessage !== undefined && { errorMessage: fieldOptions.errorMessage })
+  };
+  const withValidation = (field, extra = {}) => {
+    const merged = { ...validation, ...extra };
+    return Object.keys(merged).length > 0 ? { ...field, validation: merged } : field;
+  };
+
+  switch (typeName) {
+  case 'TEXT':
+    return [withValidation({ ...base, value: fieldOptions.value || '' })];
+  case 'CHECKBOX':
+    // Conga marks a checked box with "X"
+    return [withValidation({ ...base, value: fieldOptions.value ? 'X' : '' })];
+  case 'DROPDOWN':
+    return [withValidation({ ...base, value: fieldOptions.value || '' }, { enum: fieldOptions.options })];
+  case 'RADIO': {
+    const group = fieldOptions.group || fieldOptions.name || `radio-${Date.now()}`;
+    return fieldOptions.options.map((option, index) => withValidation({
+      ...base,
+      name: option,
+      top: base.top + index * (base.height + RADIO_SPACING),
+      value: option === fieldOptions.value ? 'X' : ''
+    }, { group }));
+  }
+  case 'LABEL':
+    return [{ ...base, value: fieldOptions.value }];
+  default:
+    return [base];
+  }
+}
+
+/**
+ * Work out the sandbox field type of a Conga Sign approval field
+ * @param {Object} apiField - Field from the API
+ * @returns {string} Sandbox field type, or the Conga type if it is not one the sandbox knows
+ */
+export function getFieldType(apiField = {}) {
+  if (apiField.type === 'SIGNATURE') {
+    return apiField.subtype === 'INITIALS' ? 'INITIALS' : 'SIGNATURE';
+  }
+
+  if (apiField.subtype === 'LABEL' && apiField.binding === '{approval.signed}') {
+    return 'SIGNING_DATE';
+  }
+
+  const match = Object.entries(FIELD_TYPES).find(([, fieldType]) =>
+    fieldType.api.type === apiField.type && fieldType.api.subtype === apiField.subtype
+  );
+  return match ? match[0] : apiField.type;
+}
+
+/**
+ * Describe a field for transaction history
+ * @param {Object} fieldOptions - Field options with type and validation
+ * @returns {string} Description such as 'TEXT field "Company" (required, max 50 characters)'
+ */
+export function describeField(fieldOptions = {}) {
+  const typeName = (fieldOptions.type || 'SIGNATURE').toUpperCase();
+  const rules = [
+    fieldOptions.required && 'required',
+    fieldOptions.pattern && `pattern ${fieldOptions.pattern}`,
+    fieldOptions.minLength && `min ${fieldOptions.minLength} characters`,
+    fieldOptions.maxLength && `max ${fieldOptions.maxLength} characters`,
+    fieldOptions.options && `options ${fieldOptions.options.join(', ')}`,
+    typeName === 'LABEL' && `text "${fieldOptions.value}"`
+  ].filter(Boolean);
+
+  return `${typeName} field${fieldOptions.name ? ` "${fieldOptions.name}"` : ''}${rules.length > 0 ? ` (${rules.join(', ')})` : ''}`;
+}
@@ -0,0 +1,73 @@
+import https from 'https';
+import tls from 'tls';
+import crypto from 'crypto';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+/**
+ * HTTP agents for environments that send Conga Sign traffic through a proxy or
+ * trust extra CA certificates. Agents keep connections open, so they are built
+ * once per proxy and certificate set and reused.
+ */
+
+// Agents by proxy URL and certificate fingerprint
+const agents = new Map();
+
+/**
+ * Get the agent to send a request with
+ * @param {Object} environment - Environment from ConfigManager.getRegionUrls()
+ * @param {string} [environment.proxyUrl] - HTTP proxy to connect through
+ * @param {string} [environment.caCertificates] - PEM certificates to trust besides the built-in ones
+ * @param {string} url - Request URL
+ * @returns {Object|undefined} Agent, or undefined to use Node's default
+ */
+export function getAgent({ proxyUrl, caCertificates } = {}, url) {
+  if (!proxyUrl && !caCertificates) {
+    return undefined;
+  }
+
+  const secure = new URL(url).protocol === 'https:';
+  if (!secure && !proxyUrl) {
+    return undefined;
+  }
+
+  const fingerprint = caCertificates ? crypto.createHash('sha256').update(caCertificates).digest('hex') : '';
+  const key = `${secure ? 'https' : 'http'}|${proxyUrl || ''}|${fingerprint}`;
+  if (!agents.has(key)) {
+    const ca = caCertificates ? [...tls.rootCertificates, caCertificates] : undefined;
+    let agent;
+    if (proxyUrl) {
+      agent = secure ? new HttpsProxyAgent(proxyUrl, { ca }) : new HttpProxyAgent(proxyUrl);
+      if (secure && ca) {
+        // { ca } above only covers an https proxy; the agent's own options are
+        // used for the TLS connection to Conga Sign through the tunnel
+        agent.options.ca = ca;
+      }
+    } else {
+      agent = new https.Agent({ ca, keepAlive: true });
+    }
+    agents.set(key, agent);
+  }
+  return agents.get(key);
+}
+
+/**
+ * Check a PEM bundle
+ * @param {string} pem - One or more PEM certificates
+ * @returns {string|null} Description of the problem, or null if every certificate parses
+ */
+export function validateCertificates(pem) {
+  const blocks = String(pem).match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+  if (!blocks) {
+    return 'CA certificates must be PEM encoded (-----BEGIN CERTIFICATE----- ...)';
+  }
+
+  for (let i = 0; i < blocks.length; i++) {
+    try {
+      new crypto.X509Certificate(blocks[i]);
+    } catch (error) {
+      return `CA certificate ${i + 1} could not be read: ${error.message}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,291 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import MultipartBody from './MultipartBody.js';
+
+// Number of exchanges kept before the oldest are dropped
+const DEFAULT_MAX_ENTRIES = 200;
+
+// Longest body (in characters) stored for a single request or response
+const MAX_BODY_LENGTH = 20000;
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'];
+const SENSITIVE_FIELDS = ['client_secret', 'clientsecret', 'access_token', 'accesstoken', 'refresh_token', 'token', 'password', 'answer', 'key'];
+
+// Tracks which sandbox route triggered the outbound calls of the current request
+const routeContext = new AsyncLocalStorage();
+
+// Shared by every instance so that all API clients write to the same log
+const entries = [];
+
+/**
+ * Redact sensitive keys in a parsed body
+ * @param {*} value - Parsed body
+ * @returns {*} Copy with secrets replaced
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SENSITIVE_FIELDS.includes(key.toLowerCase()) ? REDACTED : redactValue(nested)
+    ]));
+  }
+
+  return value;
+}
+
+/**
+ * Shorten long text bodies
+ * @param {string} text - Body text
+ * @returns {string} Text no longer than MAX_BODY_LENGTH
+ */
+function truncate(text) {
+  if (text.length <= MAX_BODY_LENGTH) {
+    return text;
+  }
+  return `${text.substring(0, MAX_BODY_LENGTH)}... [truncated ${text.length - MAX_BODY_LENGTH} characters]`;
+}
+
+/**
+ * Turn response text into a loggable body
+ * @param {string} text - Raw text
+ * @returns {Object|string} Parsed JSON with secrets redacted, or the text
+ */
+function parseText(text) {
+  try {
+    return redactValue(JSON.parse(text));
+  } catch (error) {
+    return truncate(text);
+  }
+}
+
+/**
+ * HttpTrafficLog
+ * Bounded in-memory record of the HTTP exchanges between the sandbox and Conga Sign
+ */
+class HttpTrafficLog {
+  /**
+   * Express middleware that remembers the sandbox route handling the request,
+   * so outbound calls made while serving it can be attributed to it
+   * @returns {Function} Express middleware
+   */
+  static middleware() {
+    return (req, res, next) => {
+      routeContext.run({ route: `${req.method} ${req.originalUrl}` }, next);
+    };
+  }
+
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Get the sandbox route that triggered the current call
+   * @returns {string|null} Route such as "POST /api/transactions"
+   */
+  getCurrentRoute() {
+    const context = routeContext.getStore();
+    return context ? context.route : null;
+  }
+
+  /**
+   * Redact credentials from headers
+   * @param {Object|Headers} headers - Request or response headers
+   * @returns {Object} Headers safe to display
+   */
+  redactHeaders(headers = {}) {
+    // Accept both plain objects and fetch Headers instances
+    const headerList = typeof headers.entries === 'function'
+      ? Array.from(headers.entries())
+      : Object.entries(headers);
+
+    return Object.fromEntries(headerList.filter(([, value]) => typeof value === 'string').map(([name, value]) => {
+      if (!SENSITIVE_HEADERS.includes(name.toLowerCase())) {
+        return [name, value];
+      }
+      // Keep the scheme so it is still clear which kind of credential was sent
+      const scheme = value.includes(' ') ? `${value.split(' ')[0]} ` : '';
+      return [name, `${scheme}${REDACTED}`];
+    }));
+  }
+
+  /**
+   * Describe a request body for display
+   * @param {*} body - fetch request body
+   * @returns {Object|string|null} Loggable body
+   */
+  describeRequestBody(body) {
+    if (body === undefined || body === null) {
+      return null;
+    }
+
+    if (typeof body === 'string') {
+      return parseText(body);
+    }
+
+    if (body instanceof URLSearchParams) {
+      return redactValue(Object.fromEntries(body.entries()));
+    }
+
+    if (body instanceof FormData) {
+      const parts = {};
+      for (const [name, value] of body.entries()) {
+        parts[name] = value instanceof Blob
+          ? { filename: value.name || null, contentType: value.type || null, size: value.size }
+          : value;
+      }
+      return { multipart: redactValue(parts) };
+    }
+
+    if (body instanceof MultipartBody) {
+      return { multipart: { file: body.describe() } };
+    }
+
+    if (Buffer.isBuffer(body)) {
+      return `[binary ${body.length} bytes]`;
+    }
+
+    return `[${body.constructor ? body.constructor.name : typeof body} body]`;
+  }
+
+  /**
+   * Read a response body for the log. Text bodies are read once and the
+   * response is rebuilt around the text: reading a clone before the original
+   * stalls node-fetch once the body is larger than its 16 KB buffer.
+   * @param {Response} response - fetch response
+   * @returns {Promise<{response: Response, body: Object|string|null}>} Response
+   *   for the caller to read, and the loggable body
+   */
+  async readResponseBody(response) {
+    const contentType = (response.headers && response.headers.get('content-type')) || '';
+    const isText = /json|text|xml|html|urlencoded/.test(contentType);
+
+    if (!isText) {
+      const length = response.headers && response.headers.get('content-length');
+      return { response, body: contentType ? `[${contentType}${length ? `, ${length} bytes` : ''}]` : null };
+    }
+
+    // Only real fetch responses can be rebuilt
+    if (typeof response.clone !== 'function') {
+      return { response, body: null };
+    }
+
+    const text = await response.text();
+    // Same Response class as the original, so callers see no difference
+    const rebuilt = new response.constructor(text === '' ? null : text, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+    return { response: rebuilt, body: parseText(text) };
+  }
+
+  /**
+   * Record one HTTP exchange
+   * @param {Object} exchange - Exchange details
+   * @param {string} exchange.method - HTTP method
+   * @param {string} exchange.url - Request URL
+   * @param {Object} exchange.requestHeaders - Request headers
+   * @param {*} exchange.requestBody - Request body
+   * @param {number|null} exchange.status - Response status (null if no response was received)
+   * @param {Object} [exchange.responseHeaders] - Response headers
+   * @param {*} [exchange.responseBody] - Loggable response body
+   * @param {number} exchange.durationMs - Time taken in milliseconds
+   * @param {number} [exchange.attempt] - Zero-based attempt number when retrying
+   * @param {string} [exchange.error] - Network error message
+   * @returns {Object} The stored entry
+   */
+  record(exchange) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      route: this.getCurrentRoute(),
+      method: (exchange.method || 'GET').toUpperCase(),
+      url: exchange.url,
+      status: exchange.status ?? null,
+      durationMs: exchange.durationMs,
+      attempt: exchange.attempt || 0,
+      error: exchange.error || null,
+      request: {
+        headers: this.redactHeaders(exchange.requestHeaders),
+        body: this.describeRequestBody(exchange.requestBody)
+      },
+      response: {
+        headers: exchange.responseHeaders ? this.redactHeaders(exchange.responseHeaders) : {},
+        body: exchange.responseBody ?? null
+      }
+    };
+
+    entries.unshift(entry);
+    if (entries.length > this.maxEntries) {
+      entries.length = this.maxEntries;
+    }
+
+    return entry;
+  }
+
+  /**
+   * List recorded exchanges, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.method] - HTTP method
+   * @param {string} [filters.status] - Exact status ("404"), class ("4xx") or "error" for network failures
+   * @param {string} [filters.search] - Text to look for in the URL or route
+   * @param {number} [filters.limit] - Maximum number of entries
+   * @returns {Array} Entry summaries (without headers and bodies)
+   */
+  list(filters = {}) {
+    const search = filters.search ? filters.search.toLowerCase() : null;
+    const status = filters.status ? String(filters.status).toLowerCase() : null;
+
+    const matches = entries.filter(entry => {
+      if (filters.method && entry.method !== filters.method.toUpperCase()) {
+        return false;
+      }
+
+      if (status === 'error') {
+        if (!entry.error) return false;
+      } else if (status && /^\dxx$/.test(status)) {
+        if (!entry.status || String(entry.status)[0] !== status[0]) return false;
+      } else if (status && String(entry.status) !== status) {
+        return false;
+      }
+
+      if (search && !`${entry.url} ${entry.route || ''}`.toLowerCase().includes(search)) {
+        return false;
+      }
+
+      return true;
+    });
+
+    const limited = filters.limit ? matches.slice(0, filters.limit) : matches;
+
+    return limited.map(entry => {
+      const summary = { ...entry };
+      delete summary.request;
+      delete summary.response;
+      return summary;
+    });
+  }
+
+  /**
+   * Get a single exchange with headers and bodies
+   * @param {string} id - Entry ID
+   * @returns {Object|null} The entry or null if it has been evicted
+   */
+  getEntry(id) {
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Remove every recorded exchange
+   */
+  clear() {
+    entries.length = 0;
+  }
+}
+
+export default HttpTrafficLog;
@@ -0,0 +1,972 @@
+import crypto from 'crypto';
+
+/**
+ * MockCongaError
+ * Error raised by the mock store, shaped like a Conga Sign error response
+ */
+export class MockCongaError extends Error {
+  constructor(status, messageKey, message) {
+    super(message);
+    this.name = 'MockCongaError';
+    this.status = status;
+    this.messageKey = messageKey;
+  }
+
+  /**
+   * Build the JSON body Conga Sign returns for an error
+   * @returns {Object} Error response body
+   */
+  toJSON() {
+    return {
+      messageKey: this.messageKey,
+      message: this.message,
+      code: this.status,
+      name: this.status === 404 ? 'Resource Not Found' : 'Request Failed'
+    };
+  }
+}
+
+// Signer authentication schemes the mock accepts
+const AUTH_SCHEMES = ['NONE', 'EMAIL', 'SMS', 'CHALLENGE'];
+
+/**
+ * Generate an identifier in the style of Conga Sign IDs
+ * @returns {string} Random identifier
+ */
+function generateId() {
+  return crypto.randomBytes(14).toString('hex');
+}
+
+// Lookup table for the CRC-32 checksums required by the zip format
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// 1980-01-01, the earliest date a zip entry can hold
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+/**
+ * Compute the CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build an uncompressed zip archive
+ * @param {Array<{name: string, content: Buffer}>} files - Files to include
+ * @returns {Buffer} Zip archive
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = Buffer.from(file.name, 'utf8');
+    const checksum = crc32(file.content);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4);
+    localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    localHeader.writeUInt16LE(DOS_DATE, 12);
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(file.content.length, 18);
+    localHeader.writeUInt32LE(file.content.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4);
+    centralHeader.writeUInt16LE(20, 6);
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(DOS_DATE, 14);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(file.content.length, 20);
+    centralHeader.writeUInt32LE(file.content.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, file.content);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + file.content.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build a single-page PDF containing lines of text
+ * @param {Array<string>} lines - Text lines
+ * @returns {Buffer} PDF document
+ */
+function buildPdf(lines) {
+  const escapePdf = text => String(text).replace(/[\\()]/g, char => `\\${char}`);
+  const text = lines
+    .map((line, index) => `BT /F1 ${index === 0 ? 16 : 11} Tf 50 ${760 - index * 20} Td (${escapePdf(line)}) Tj ET`)
+    .join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(text)} >>\nstream\n${text}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const objectOffset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return objectOffset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(objectOffset => `${String(objectOffset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * MockCongaStore
+ * Keeps in-memory package state for the local mock Conga Sign server
+ */
+class MockCongaStore {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clear all packages, tokens and callback settings
+   */
+  reset() {
+    this.packages = new Map();
+    this.tokens = new Map();
+    this.callback = null;
+    this.seedTemplates();
+  }
+
+  /**
+   * Add a sample template so template features can be tried offline
+   */
+  seedTemplates() {
+    const template = this.createPackage({
+      name: 'Mutual NDA',
+      description: 'Two-party non-disclosure agreement',
+      type: 'TEMPLATE',
+      sender: { email: 'templates@example.com' }
+    });
+    const disclosing = this.addRole(template.id, { name: 'Disclosing Party' });
+    const receiving = this.addRole(template.id, { name: 'Receiving Party' });
+    const document = this.addDocument(template.id, {
+      originalname: 'Mutual NDA.pdf',
+      mimetype: 'application/pdf',
+      buffer: buildPdf(['Mutual Non-Disclosure Agreement', 'Disclosing Party', 'Receiving Party'])
+    });
+
+    [disclosing, receiving].forEach((role, index) => {
+      this.addApproval(template.id, document.id, {
+        role: role.id,
+        fields: [{ type: 'SIGNATURE', subtype: 'FULLNAME', page: 0, left: 100 + index * 250, top: 650, width: 200, height: 50 }]
+      });
+    });
+  }
+
+  /**
+   * Issue an access token for the client credentials grant
+   * @param {string} clientId - Client ID
+   * @param {string} clientSecret - Client secret
+   * @param {number} expiresIn - Token lifetime in seconds
+   * @returns {Object} Token response
+   */
+  issueToken(clientId, clientSecret, expiresIn = 3600) {
+    if (!clientId || !clientSecret) {
+      throw new MockCongaError(401, 'error.unauthorised.credentials', 'Invalid client credentials');
+    }
+
+    const token = `mock-${generateId()}`;
+    this.tokens.set(token, {
+      clientId,
+      expiresAt: Date.now() + expiresIn * 1000
+    });
+
+    return {
+      access_token: token,
+      token_type: 'Bearer',
+      expires_in: expiresIn
+    };
+  }
+
+  /**
+   * Check whether a bearer token was issued by this store and is unexpired
+   * @param {string} token - Bearer token
+   * @returns {boolean} Whether the token is accepted
+   */
+  isTokenValid(token) {
+    const entry = this.tokens.get(token);
+    return Boolean(entry && entry.expiresAt > Date.now());
+  }
+
+  /**
+   * Revoke an issued token
+   * @param {string} token - Bearer token
+   */
+  revokeToken(token) {
+    this.tokens.delete(token);
+  }
+
+  /**
+   * Get a package or throw a 404
+   * @param {string} packageId - Package ID
+   * @returns {Object} Stored package
+   */
+  requirePackage(packageId) {
+    const pkg = this.packages.get(packageId);
+    if (!pkg) {
+      throw new MockCongaError(404, 'error.notFound.packageNotFound', `Package not found: ${packageId}`);
+    }
+    return pkg;
+  }
+
+  /**
+   * Get a role from a package or throw a 404
+   * @param {Object} pkg - Stored package
+   * @param {string} roleId - Role ID
+   * @returns {Object} Stored role
+   */
+  requireRole(pkg, roleId) {
+    const role = pkg.roles.find(r => r.id === roleId);
+    if (!role) {
+      throw new MockCongaError(404, 'error.notFound.roleNotFound', `Role not found: ${roleId}`);
+    }
+    return role;
+  }
+
+  /**
+   * Get a document from a package or throw a 404
+   * @param {Object} pkg - Stored package
+   * @param {string} documentId - Document ID
+   * @returns {Object} Stored document
+   */
+  requireDocument(pkg, documentId) {
+    const document = pkg.documents.find(d => d.id === documentId);
+    if (!document) {
+      throw new MockCongaError(404, 'error.notFound.documentNotFound', `Document not found: ${documentId}`);
+    }
+    return document;
+  }
+
+  /**
+   * Refuse changes to packages that are no longer drafts
+   * @param {Object} pkg - Stored package
+   */
+  requireDraft(pkg) {
+    if (pkg.status !== 'DRAFT') {
+      throw new MockCongaError(409, 'error.validation.packageNotDraft',
+        `Package ${pkg.id} is ${pkg.status} and can no longer be modified`);
+    }
+  }
+
+  /**
+   * Record an audit event on a package
+   * @param {Object} pkg - Stored package
+   * @param {string} type - Event type
+   * @param {string} target - Event target
+   * @param {string} data - Event details
+   */
+  audit(pkg, type, target, data = '') {
+    pkg.audit.push({
+      type,
+      date: new Date().toISOString(),
+      user: pkg.sender.email,
+      target,
+      data
+    });
+  }
+
+  /**
+   * Strip internal fields before returning a package to a client
+   * @param {Object} pkg - Stored package
+   * @returns {Object} Public package representation
+   */
+  toPublicPackage(pkg) {
+    const publicPackage = {
+      ...pkg,
+      documents: pkg.documents.map(document => this.toPublicDocument(document))
+    };
+    delete publicPackage.audit;
+    return publicPackage;
+  }
+
+  /**
+   * Strip file contents from a document
+   * @param {Object} document - Stored document
+   * @returns {Object} Public document representation
+   */
+  toPublicDocument(document) {
+    const publicDocument = { ...document };
+    delete publicDocument.content;
+    return publicDocument;
+  }
+
+  /**
+   * Create a package
+   * @param {Object} body - Package request body
+   * @returns {Object} Created package
+   */
+  createPackage(body = {}) {
+    if (!body.sender || !body.sender.email) {
+      throw new MockCongaError(400, 'error.validation.senderRequired', 'Package sender email is required');
+    }
+
+    const now = new Date().toISOString();
+    const pkg = {
+      id: generateId(),
+      name: body.name || 'Signature Package',
+      description: body.description || '',
+      emailMessage: body.emailMessage || '',
+      type: body.type || 'PACKAGE',
+      status: 'DRAFT',
+      autocomplete: body.autocomplete !== false,
+      sender: { ...body.sender },
+      due: body.due || null,
+      created: now,
+      updated: now,
+      roles: [],
+      documents: [],
+      audit: []
+    };
+
+    this.packages.set(pkg.id, pkg);
+    this.audit(pkg, 'PACKAGE_CREATE', pkg.name);
+
+    return this.toPublicPackage(pkg);
+  }
+
+  /**
+   * List packages owned by an email address
+   * @param {Object} options - List options (ownerEmail, from, to, type)
+   * @returns {Object} Page of packages with total count
+   */
+  listPackages(options = {}) {
+    const from = Math.max(parseInt(options.from, 10) || 1, 1);
+    const to = Math.max(parseInt(options.to, 10) || 100, from);
+    const type = options.type || 'PACKAGE';
+
+    const owned = [...this.packages.values()].filter(pkg =>
+      pkg.type === type &&
+      (!options.ownerEmail || pkg.sender.email.toLowerCase() === options.ownerEmail.toLowerCase())
+    );
+
+    return {
+      results: owned.slice(from - 1, to).map(pkg => this.toPublicPackage(pkg)),
+      count: owned.length
+    };
+  }
+
+  /**
+   * Get a package
+   * @param {string} packageId - Package ID
+   * @returns {Object} Package
+   */
+  getPackage(packageId) {
+    return this.toPublicPackage(this.requirePackage(packageId));
+  }
+
+  /**
+   * Update a package, including sending it for signing
+   * @param {string} packageId - Package ID
+   * @param {Object} body - Fields to update
+   * @returns {Object} Updated package
+   */
+  updatePackage(packageId, body = {}) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+
+    ['name', 'description', 'emailMessage', 'due', 'autocomplete'].forEach(key => {
+      if (body[key] !== undefined) {
+        pkg[key] = body[key];
+      }
+    });
+
+    if (body.status === 'SENT') {
+      if (pkg.type === 'TEMPLATE') {
+        throw new MockCongaError(400, 'error.validation.templateCannotBeSent',
+          'Templates cannot be sent; create a package from the template instead');
+      }
+      if (pkg.roles.length === 0 || pkg.documents.length === 0) {
+        throw new MockCongaError(400, 'error.validation.packageIncomplete',
+          'A package needs at least one signer and one document before it can be sent');
+      }
+      pkg.status = 'SENT';
+      this.audit(pkg, 'PACKAGE_SEND', pkg.name);
+    }
+
+    pkg.updated = new Date().toISOString();
+    return this.toPublicPackage(pkg);
+  }
+
+  /**
+   * Create a package from a template, binding signers to its placeholder roles.
+   * Roles in the body are matched to template roles by ID, then by name.
+   * @param {string} templateId - Template ID
+   * @param {Object} body - Package body with name and roles
+   * @returns {Object} Created package
+   */
+  clonePackage(templateId, body = {}) {
+    const template = this.requirePackage(templateId);
+    if (template.type !== 'TEMPLATE') {
+      throw new MockCongaError(400, 'error.validation.notATemplate', `Package ${templateId} is not a template`);
+    }
+
+    const bindings = Array.isArray(body.roles) ? body.roles : [];
+    const roleIds = new Map();
+
+    const roles = template.roles.map(role => {
+      const binding = bindings.find(b => b.id === role.id) || bindings.find(b => b.name && b.name === role.name);
+      const signer = binding && Array.isArray(binding.signers) && binding.signers[0]
+        ? binding.signers[0]
+        : role.signers[0];
+
+      if (!signer || !signer.email) {
+        throw new MockCongaError(400, 'error.validation.placeholderNotBound',
+          `Template role "${role.name}" needs a signer`);
+      }
+
+      const roleId = generateId();
+      roleIds.set(role.id, roleId);
+
+      return {
+        ...role,
+        id: roleId,
+        signingStatus: 'PENDING',
+        signers: [{ ...signer, id: roleId }]
+      };
+    });
+
+    const pkg = this.requirePackage(this.createPackage({
+      name: template.name,
+      description: template.description,
+      emailMessage: template.emailMessage,
+      autocomplete: template.autocomplete,
+      sender: template.sender,
+      ...body,
+      type: 'PACKAGE'
+    }).id);
+
+    pkg.roles = roles;
+    pkg.documents = template.documents.map(document => ({
+      ...document,
+      id: generateId(),
+      approvals: document.approvals.map(approval => ({
+        ...approval,
+        id: generateId(),
+        role: roleIds.get(approval.role),
+        signed: null,
+        fields: approval.fields.map(field => ({ ...field, id: generateId() }))
+      }))
+    }));
+    this.audit(pkg, 'PACKAGE_CLONE', template.name);
+
+    return this.toPublicPackage(pkg);
+  }
+
+  /**
+   * Delete a package
+   * @param {string} packageId - Package ID
+   */
+  deletePackage(packageId) {
+    this.requirePackage(packageId);
+    this.packages.delete(packageId);
+  }
+
+  /**
+   * Get the signer from a role body, checking its email and authentication
+   * @param {Object} pkg - Stored package
+   * @param {Object} body - Role body with a signers array
+   * @returns {Object|null} Signer, or null for a template placeholder role
+   */
+  requireValidSigner(pkg, body) {
+    // Templates may hold placeholder roles with no signer yet
+    const signer = Array.isArray(body.signers) ? body.signers[0] : null;
+    if ((!signer || !signer.email) && pkg.type !== 'TEMPLATE') {
+      throw new MockCongaError(400, 'error.validation.signerEmailRequired', 'Signer email is required');
+    }
+
+    const auth = signer && signer.auth;
+    if (auth && !AUTH_SCHEMES.includes(auth.scheme)) {
+      throw new MockCongaError(400, 'error.validation.authScheme', `Unsupported authentication scheme: ${auth.scheme}`);
+    }
+    if (auth && ['SMS', 'CHALLENGE'].includes(auth.scheme) && !(Array.isArray(auth.challenges) && auth.challenges.length > 0)) {
+      throw new MockCongaError(400, 'error.validation.authChallenges', `${auth.scheme} authentication needs at least one challenge`);
+    }
+
+    return signer;
+  }
+
+  /**
+   * Add a signer role to a package
+   * @param {string} packageId - Package ID
+   * @param {Object} body - Role body with a signers array
+   * @returns {Object} Created role
+   */
+  addRole(packageId, body = {}) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+
+    const signer = this.requireValidSigner(pkg, body);
+
+    const roleId = generateId();
+    const role = {
+      id: roleId,
+      name: body.name || `Signer${pkg.roles.length + 1}`,
+      type: 'SIGNER',
+      index: body.index !== undefined ? body.index : pkg.roles.length,
+      signingStatus: 'PENDING',
+      signers: signer && signer.email ? [{ ...signer, id: roleId }] : []
+    };
+
+    pkg.roles.push(role);
+    pkg.updated = new Date().toISOString();
+    this.audit(pkg, 'ROLE_ADD', role.signers.length > 0 ? signer.email : role.name);
+
+    return role;
+  }
+
+  /**
+   * Replace the signer of a draft package's role, keeping its fields and signing order
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   * @param {Object} body - Role body with a signers array
+   * @returns {Object} Updated role
+   */
+  updateRole(packageId, roleId, body = {}) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+    const role = this.requireRole(pkg, roleId);
+    const signer = this.requireValidSigner(pkg, body);
+
+    role.signers = signer && signer.email ? [{ ...signer, id: roleId }] : [];
+    pkg.updated = new Date().toISOString();
+    this.audit(pkg, 'ROLE_UPDATE', role.signers.length > 0 ? signer.email : role.name);
+
+    return role;
+  }
+
+  /**
+   * Remove a role from a draft package, with its approvals
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   */
+  deleteRole(packageId, roleId) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+    const role = this.requireRole(pkg, roleId);
+
+    pkg.roles = pkg.roles.filter(other => other.id !== roleId);
+    pkg.documents.forEach(document => {
+      document.approvals = document.approvals.filter(approval => approval.role !== roleId);
+    });
+    pkg.updated = new Date().toISOString();
+    this.audit(pkg, 'ROLE_DELETE', role.signers[0] ? role.signers[0].email : role.name);
+  }
+
+  /**
+   * Change the signing order of a draft package's roles.
+   * Roles with the same index sign in parallel.
+   * @param {string} packageId - Package ID
+   * @param {Array<Object>} body - Roles to update: [{ id, index }]
+   * @returns {Array<Object>} Every role of the package, in signing order
+   */
+  updateRoleOrder(packageId, body = []) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+
+    if (!Array.isArray(body)) {
+      throw new MockCongaError(400, 'error.validation.invalidRoles', 'Expected an array of roles');
+    }
+
+    body.forEach(update => {
+      if (!Number.isInteger(update.index) || update.index < 0) {
+        throw new MockCongaError(400, 'error.validation.invalidIndex', `Invalid index for role ${update.id}: ${update.index}`);
+      }
+      this.requireRole(pkg, update.id);
+    });
+
+    body.forEach(update => {
+      this.requireRole(pkg, update.id).index = update.index;
+    });
+    pkg.updated = new Date().toISOString();
+
+    return [...pkg.roles].sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Make sure it is a role's turn to sign: every role with a lower index must have signed
+   * @param {Object} pkg - Stored package
+   * @param {Object} role - Stored role
+   */
+  requireTurn(pkg, role) {
+    const waitingOn = pkg.roles.filter(other => other.index < role.index && other.signingStatus !== 'COMPLETED');
+    if (waitingOn.length > 0) {
+      throw new MockCongaError(409, 'error.validation.notSignerTurn',
+        `Role ${role.id} cannot sign until ${waitingOn.map(other => other.signers[0] ? other.signers[0].email : other.name).join(', ')} must sign first`);
+    }
+  }
+
+  /**
+   * Add a document to a package
+   * @param {string} packageId - Package ID
+   * @param {Object} file - Uploaded file (originalname, mimetype, size, buffer)
+   * @returns {Object} Created document
+   */
+  addDocument(packageId, file) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+
+    if (!file) {
+      throw new MockCongaError(400, 'error.validation.fileRequired', 'A document file is required');
+    }
+
+    const document = {
+      id: generateId(),
+      name: file.originalname || 'document.pdf',
+      contentType: file.mimetype || 'application/pdf',
+      size: file.size || (file.buffer ? file.buffer.length : 0),
+      index: pkg.documents.length,
+      approvals: [],
+      content: file.buffer || null
+    };
+
+    pkg.documents.push(document);
+    pkg.updated = new Date().toISOString();
+    this.audit(pkg, 'DOCUMENT_ADD', document.name);
+
+    return this.toPublicDocument(document);
+  }
+
+  /**
+   * Remove a document from a draft package
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   */
+  deleteDocument(packageId, documentId) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+    const document = this.requireDocument(pkg, documentId);
+
+    pkg.documents = pkg.documents.filter(other => other.id !== documentId);
+    pkg.updated = new Date().toISOString();
+    this.audit(pkg, 'DOCUMENT_DELETE', document.name);
+  }
+
+  /**
+   * Remove a field from an approval; the approval goes too once it has no fields left
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @param {string} approvalId - Approval ID
+   * @param {string} fieldId - Field ID
+   */
+  deleteField(packageId, documentId, approvalId, fieldId) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+    const document = this.requireDocument(pkg, documentId);
+
+    const approval = document.approvals.find(a => a.id === approvalId);
+    if (!approval || !approval.fields.some(field => field.id === fieldId)) {
+      throw new MockCongaError(404, 'error.notFound.fieldNotFound', `Field not found: ${fieldId}`);
+    }
+
+    approval.fields = approval.fields.filter(field => field.id !== fieldId);
+    if (approval.fields.length === 0) {
+      document.approvals = document.approvals.filter(a => a.id !== approvalId);
+    }
+    pkg.updated = new Date().toISOString();
+  }
+
+  /**
+   * Add an approval (a set of fields for one role) to a document
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @param {Object} body - Approval body with fields and role
+   * @returns {Object} Created approval
+   */
+  addApproval(packageId, documentId, body = {}) {
+    const pkg = this.requirePackage(packageId);
+    this.requireDraft(pkg);
+    const document = this.requireDocument(pkg, documentId);
+    this.requireRole(pkg, body.role);
+
+    const approval = {
+      id: generateId(),
+      role: body.role,
+      signed: null,
+      fields: (body.fields || []).map(field => ({ ...field, id: generateId() }))
+    };
+
+    document.approvals.push(approval);
+    pkg.updated = new Date().toISOString();
+
+    return approval;
+  }
+
+  /**
+   * Get the signing status of a package and its signers
+   * @param {string} packageId - Package ID
+   * @returns {Object} Signing status
+   */
+  getSigningStatus(packageId) {
+    const pkg = this.requirePackage(packageId);
+
+    return {
+      status: pkg.status,
+      signers: pkg.roles.map(role => ({
+        id: role.id,
+        email: role.signers[0].email,
+        status: role.signingStatus
+      }))
+    };
+  }
+
+  /**
+   * Build a signing URL for a role
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   * @param {string} baseUrl - Public base URL of the mock server
+   * @returns {Object} Signing URL response
+   */
+  getSigningUrl(packageId, roleId, baseUrl) {
+    const pkg = this.requirePackage(packageId);
+    const role = this.requireRole(pkg, roleId);
+
+    if (pkg.status !== 'SENT' && pkg.status !== 'COMPLETED') {
+      throw new MockCongaError(409, 'error.validation.packageNotSent',
+        'Signing URLs are only available once the package has been sent');
+    }
+    if (pkg.status === 'SENT') {
+      this.requireTurn(pkg, role);
+    }
+
+    return {
+      packageId,
+      roleId,
+      url: `${baseUrl}/sign/${packageId}/${roleId}`
+    };
+  }
+
+  /**
+   * Complete signing for a role, completing the package once every role has signed
+   * @param {string} packageId - Package ID
+   * @param {string} roleId - Role ID
+   * @returns {Object} Updated package
+   */
+  signRole(packageId, roleId) {
+    const pkg = this.requirePackage(packageId);
+    const role = this.requireRole(pkg, roleId);
+
+    if (pkg.status !== 'SENT') {
+      throw new MockCongaError(409, 'error.validation.packageNotSent', `Package ${packageId} is not out for signing`);
+    }
+    this.requireTurn(pkg, role);
+
+    const signedAt = new Date().toISOString();
+    role.signingStatus = 'COMPLETED';
+    pkg.documents.forEach(document => {
+      document.approvals
+        .filter(approval => approval.role === roleId)
+        .forEach(approval => {
+          approval.signed = signedAt;
+        });
+    });
+    this.audit(pkg, 'SIGNER_COMPLETE', role.signers[0].email);
+
+    if (pkg.autocomplete && pkg.roles.every(r => r.signingStatus === 'COMPLETED')) {
+      pkg.status = 'COMPLETED';
+      this.audit(pkg, 'PACKAGE_COMPLETE', pkg.name);
+    }
+
+    pkg.updated = signedAt;
+    return this.toPublicPackage(pkg);
+  }
+
+  /**
+   * Get the audit trail of a package
+   * @param {string} packageId - Package ID
+   * @returns {Object} Audit report
+   */
+  getAudit(packageId) {
+    const pkg = this.requirePackage(packageId);
+
+    return {
+      'audit-events': [...pkg.audit],
+      'email-events': pkg.audit
+        .filter(event => event.type === 'NOTIFICATION_SENT')
+        .map(event => ({ email: event.target, date: event.date }))
+    };
+  }
+
+  /**
+   * Get the content of a document, as signed so far
+   * @param {string} packageId - Package ID
+   * @param {string} documentId - Document ID
+   * @returns {Object} File with filename, contentType and content
+   */
+  getDocumentFile(packageId, documentId) {
+    const pkg = this.requirePackage(packageId);
+    const document = this.requireDocument(pkg, documentId);
+
+    return {
+      filename: document.name,
+      contentType: document.contentType,
+      content: document.content || buildPdf([document.name])
+    };
+  }
+
+  /**
+   * Get every document of a package as a zip archive
+   * @param {string} packageId - Package ID
+   * @returns {Object} File with filename, contentType and content
+   */
+  getDocumentsZip(packageId) {
+    const pkg = this.requirePackage(packageId);
+
+    return {
+      filename: `${pkg.name}.zip`,
+      contentType: 'application/zip',
+      content: buildZip(pkg.documents.map(document => ({
+        name: document.name,
+        content: this.getDocumentFile(packageId, document.id).content
+      })))
+    };
+  }
+
+  /**
+   * Get a single PDF standing in for the merged documents of a package.
+   * The mock cannot merge PDFs, so it lists the documents instead.
+   * @param {string} packageId - Package ID
+   * @returns {Object} File with filename, contentType and content
+   */
+  getCombinedPdf(packageId) {
+    const pkg = this.requirePackage(packageId);
+
+    return {
+      filename: `${pkg.name}.pdf`,
+      contentType: 'application/pdf',
+      content: buildPdf([
+        pkg.name,
+        `Status: ${pkg.status}`,
+        ...pkg.documents.map(document => `Document: ${document.name} (${document.size} bytes)`)
+      ])
+    };
+  }
+
+  /**
+   * Get the evidence summary of a completed package
+   * @param {string} packageId - Package ID
+   * @returns {Object} File with filename, contentType and content
+   */
+  getEvidenceSummary(packageId) {
+    const pkg = this.requirePackage(packageId);
+
+    if (pkg.status !== 'COMPLETED') {
+      throw new MockCongaError(409, 'error.validation.packageNotComplete',
+        'The evidence summary is only available once the package is completed');
+    }
+
+    return {
+      filename: `${pkg.name} - Evidence Summary.pdf`,
+      contentType: 'application/pdf',
+      content: buildPdf([
+        `Evidence Summary: ${pkg.name}`,
+        `Package ID: ${pkg.id}`,
+        ...pkg.roles.map(role => `Signer: ${role.signers[0].email} - ${role.signingStatus}`),
+        ...pkg.audit.map(event => `${event.date} ${event.type} ${event.target}`)
+      ])
+    };
+  }
+
+  /**
+   * Record a notification resent to a signer
+   * @param {string} packageId - Package ID
+   * @param {Object} body - Notification body with email and message
+   * @returns {Object} Notification receipt
+   */
+  sendNotification(packageId, body = {}) {
+    const pkg = this.requirePackage(packageId);
+    const role = pkg.roles.find(r => r.signers[0].email === body.email);
+
+    if (!role) {
+      throw new MockCongaError(404, 'error.notFound.signerNotFound', `No signer with email ${body.email}`);
+    }
+
+    this.audit(pkg, 'NOTIFICATION_SENT', body.email, body.message || '');
+    return { email: body.email, sent: new Date().toISOString() };
+  }
+
+  /**
+   * Get the registered callback settings
+   * @returns {Object} Callback settings
+   */
+  getCallback() {
+    if (!this.callback) {
+      throw new MockCongaError(404, 'error.notFound.callbackNotFound', 'No callback registered');
+    }
+    return { ...this.callback };
+  }
+
+  /**
+   * Register callback settings
+   * @param {Object} body - Callback settings
+   * @returns {Object} Stored callback settings
+   */
+  setCallback(body = {}) {
+    if (!body.url) {
+      throw new MockCongaError(400, 'error.validation.callbackUrlRequired', 'Callback URL is required');
+    }
+    this.callback = { ...body };
+    return { ...this.callback };
+  }
+
+  /**
+   * Remove callback settings
+   */
+  deleteCallback() {
+    this.callback = null;
+  }
+
+  /**
+   * Create a sender or signer authentication token
+   * @param {Object} body - Token request with packageId and optional signerId
+   * @returns {Object} Authentication token
+   */
+  createAuthenticationToken(body = {}) {
+    const pkg = this.requirePackage(body.packageId);
+    if (body.signerId) {
+      this.requireRole(pkg, body.signerId);
+    }
+    return { value: generateId(), packageId: pkg.id };
+  }
+}
+
+export default MockCongaStore;
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Size of the pieces an in-memory file is sent in
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Make a file name safe to put in a quoted multipart header
+ * @param {string} filename - File name
+ * @returns {string} File name without quotes or line breaks
+ */
+function quoteSafe(filename) {
+  return String(filename).replace(/"/g, '%22').replace(/[\r\n]/g, ' ');
+}
+
+/**
+ * MultipartBody
+ * A multipart/form-data request body holding one file, read from disk (or
+ * memory) only while it is being sent. Unlike FormData it never copies the
+ * file into memory, can be read again when a request is retried and reports
+ * how many bytes have been sent.
+ *
+ * node-fetch sends it like a Blob: it streams stream() and sets Content-Length from size.
+ */
+class MultipartBody {
+  /**
+   * @param {Object} file - File to send
+   * @param {string} [file.path] - Path of the file on disk
+   * @param {Buffer} [file.buffer] - File contents, for files already in memory
+   * @param {string} [file.filename] - File name sent to the server
+   * @param {string} [file.contentType] - File content type
+   * @param {Object} [options] - Options
+   * @param {string} [options.fieldName] - Form field the file is sent in
+   * @param {Function} [options.onProgress] - Called with (bytesSent, totalBytes) as the file is sent
+   */
+  constructor({ path, buffer, filename = 'document.pdf', contentType = 'application/pdf' }, { fieldName = 'file', onProgress } = {}) {
+    if (!path && !buffer) {
+      throw new Error('Invalid file format');
+    }
+
+    this.path = path;
+    this.buffer = buffer;
+    this.filename = filename;
+    this.contentType = contentType;
+    this.onProgress = onProgress;
+
+    this.fileSize = path ? fs.statSync(path).size : buffer.length;
+    this.boundary = `----CongaSandbox${crypto.randomBytes(12).toString('hex')}`;
+    this.head = Buffer.from(
+      `--${this.boundary}\r\n` +
+      `Content-Disposition: form-data; name="${fieldName}"; filename="${quoteSafe(filename)}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`
+    );
+    this.tail = Buffer.from(`\r\n--${this.boundary}--\r\n`);
+  }
+
+  /**
+   * Content-Type header of the body
+   * @returns {string} Content type with the boundary
+   */
+  get type() {
+    return `multipart/form-data; boundary=${this.boundary}`;
+  }
+
+  /**
+   * Length of the whole body in bytes
+   * @returns {number} Size
+   */
+  get size() {
+    return this.head.length + this.fileSize + this.tail.length;
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'Blob';
+  }
+
+  /**
+   * Read the file contents in chunks
+   * @returns {AsyncGenerator<Buffer>} File chunks
+   */
+  async *readFile() {
+    if (this.path) {
+      yield* fs.createReadStream(this.path);
+      return;
+    }
+
+    for (let offset = 0; offset < this.buffer.length; offset += CHUNK_SIZE) {
+      yield this.buffer.subarray(offset, offset + CHUNK_SIZE);
+    }
+  }
+
+  /**
+   * Stream the body, starting from the beginning on every call
+   * @returns {AsyncGenerator<Buffer>} Body chunks
+   */
+  async *stream() {
+    let sent = 0;
+    yield this.head;
+    for await (const chunk of this.readFile()) {
+      sent += chunk.length;
+      if (this.onProgress) {
+        this.onProgress(sent, this.fileSize);
+      }
+      yield chunk;
+    }
+    yield this.tail;
+  }
+
+  /**
+   * Read the whole body into memory. Only used by code that needs the bytes,
+   * such as tests; requests stream the body instead.
+   * @returns {Promise<ArrayBuffer>} Body
+   */
+  async arrayBuffer() {
+    const chunks = [];
+    for await (const chunk of this.stream()) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    return body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength);
+  }
+
+  /**
+   * Summary of the body for logs
+   * @returns {Object} { filename, contentType, size }
+   */
+  describe() {
+    return { filename: this.filename, contentType: this.contentType, size: this.fileSize };
+  }
+}
+
+export default MultipartBody;
@@ -0,0 +1,33 @@
+/**
+ * NotFoundError
+ * Error raised when a record the sandbox keeps, such as a transaction, one of
+ * its signers or documents, or a configuration profile, does not exist.
+ */
+class NotFoundError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.resource - Kind of record, e.g. 'transaction' or 'document'
+   * @param {string} [details.id] - ID that was looked up
+   */
+  constructor(message, { resource = null, id = null } = {}) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.resource = resource;
+    this.id = id;
+  }
+
+  /**
+   * Serializable summary of the failure
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      resource: this.resource,
+      id: this.id
+    };
+  }
+}
+
+export default NotFoundError;
@@ -0,0 +1,45 @@
+/**
+ * PackageBuildError
+ * Error raised when building a complete package fails part-way.
+ * Records the step that broke and whether the partially built package
+ * was rolled back, so that callers can tell what was left behind.
+ */
+class PackageBuildError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.step - Step that failed: validate, create, addSigner, addDocument, addField or send
+   * @param {number|null} [details.index] - Position of the signer, document or field that failed
+   * @param {string|null} [details.packageId] - ID of the partially built package, if one was created
+   * @param {boolean} [details.rolledBack] - Whether the partially built package was canceled
+   * @param {string|null} [details.rollbackError] - Why the rollback failed, if it did
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { step, index = null, packageId = null, rolledBack = false, rollbackError = null, cause } = {}) {
+    super(message);
+    this.name = 'PackageBuildError';
+    this.step = step;
+    this.index = index;
+    this.packageId = packageId;
+    this.rolledBack = rolledBack;
+    this.rollbackError = rollbackError;
+    this.cause = cause;
+  }
+
+  /**
+   * Serializable summary of the failure
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      step: this.step,
+      index: this.index,
+      packageId: this.packageId,
+      rolledBack: this.rolledBack,
+      rollbackError: this.rollbackError
+    };
+  }
+}
+
+export default PackageBuildError;
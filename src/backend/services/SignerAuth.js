@@ -0,0 +1,156 @@
+/**
+ * Signer authentication methods supported by the sandbox and how they map
+ * onto the Conga Sign signer `auth` object.
+ *
+ * - NONE: the signer opens the package straight from the email link
+ * - EMAIL: a one-time code is sent to the signer's email address
+ * - SMS: a one-time code is texted to the signer's phone
+ * - QA: the signer answers one or more questions set by the sender
+ */
+export const AUTH_METHODS = {
+  NONE: { scheme: 'NONE', label: 'None' },
+  EMAIL: { scheme: 'EMAIL', label: 'Email code' },
+  SMS: { scheme: 'SMS', label: 'SMS code' },
+  QA: { scheme: 'CHALLENGE', label: 'Question & answer' }
+};
+
+// E.164: a plus sign followed by 8 to 15 digits, the first not zero
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Strip spaces, dashes, dots and brackets from a phone number
+ * @param {string} phone - Phone number as entered
+ * @returns {string} Phone number with only the leading plus and digits
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/[\s\-.()]/g, '');
+}
+
+/**
+ * Check a signer authentication setting
+ * @param {Object} [authentication] - { method, phone, questions: [{ question, answer, maskInput }] }
+ * @returns {string|null} Description of the first problem, or null if the setting is valid
+ */
+export function validateSignerAuth(authentication) {
+  if (!authentication) {
+    return null;
+  }
+
+  const method = (authentication.method || 'NONE').toUpperCase();
+  if (!AUTH_METHODS[method]) {
+    return `Unknown authentication method "${authentication.method}". Must be one of: ${Object.keys(AUTH_METHODS).join(', ')}`;
+  }
+
+  if (method === 'SMS' && !PHONE_PATTERN.test(normalizePhone(authentication.phone))) {
+    return 'SMS authentication needs a phone number in international format, e.g. +15145551234';
+  }
+
+  if (method === 'QA') {
+    const questions = authentication.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return 'Question & answer authentication needs at least one question';
+    }
+
+    const incomplete = questions.findIndex(entry =>
+      !entry || !String(entry.question || '').trim() || !String(entry.answer || '').trim()
+    );
+    if (incomplete >= 0) {
+      return `Question ${incomplete + 1} needs both a question and an answer`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the Conga Sign signer `auth` object
+ * @param {Object} [authentication] - Sandbox authentication setting
+ * @returns {Object} Conga auth object
+ */
+export function buildApiAuth(authentication) {
+  const problem = validateSignerAuth(authentication);
+  if (problem) {
+    throw new Error(`Invalid signer authentication: ${problem}`);
+  }
+
+  const method = ((authentication && authentication.method) || 'NONE').toUpperCase();
+  const scheme = AUTH_METHODS[method].scheme;
+
+  switch (method) {
+  case 'SMS':
+    // Conga takes the phone number as the challenge "question"
+    return { scheme, challenges: [{ question: normalizePhone(authentication.phone), answer: null, maskInput: false }] };
+  case 'QA':
+    return {
+      scheme,
+      challenges: authentication.questions.map(entry => ({
+        question: entry.question.trim(),
+        answer: entry.answer.trim(),
+        maskInput: Boolean(entry.maskInput)
+      }))
+    };
+  default:
+    return { scheme, challenges: [] };
+  }
+}
+
+/**
+ * Describe a Conga Sign signer `auth` object without its answers, for storing locally
+ * @param {Object} [apiAuth] - Conga auth object
+ * @returns {Object} { method, phone } for SMS, { method, questions } for QA, { method } otherwise
+ */
+export function getSignerAuth(apiAuth) {
+  const scheme = (apiAuth && apiAuth.scheme) || 'NONE';
+  const method = Object.keys(AUTH_METHODS).find(name => AUTH_METHODS[name].scheme === scheme) || scheme;
+  const challenges = (apiAuth && apiAuth.challenges) || [];
+
+  if (method === 'SMS') {
+    return { method, phone: challenges[0] ? challenges[0].question : null };
+  }
+
+  if (method === 'QA') {
+    return { method, questions: challenges.map(challenge => challenge.question) };
+  }
+
+  return { method };
+}
+
+/**
+ * Copy an API object without the answers to authentication questions
+ * @param {*} value - Role, signer or other API data
+ * @returns {*} Copy that is safe to store locally
+ */
+export function stripAuthAnswers(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripAuthAnswers);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== 'answer')
+      .map(([key, nested]) => [key, stripAuthAnswers(nested)]));
+  }
+
+  return value;
+}
+
+/**
+ * Describe a signer's authentication for display and history
+ * @param {Object} [authentication] - Sandbox authentication setting
+ * @returns {string} Description such as "SMS code to +15145551234"
+ */
+export function describeSignerAuth(authentication) {
+  const method = ((authentication && authentication.method) || 'NONE').toUpperCase();
+  const label = AUTH_METHODS[method] ? AUTH_METHODS[method].label : method;
+
+  if (method === 'SMS') {
+    return `${label} to ${normalizePhone(authentication.phone)}`;
+  }
+
+  if (method === 'QA') {
+    const count = (authentication.questions || []).length;
+    return `${label} (${count} question${count === 1 ? '' : 's'})`;
+  }
+
+  return label;
+}
@@ -1,20 +1,79 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import CongaApiClient from './CongaApiClient.js';
-
-// Setup __dirname equivalent in ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { DEFAULT_PROFILE } from './ConfigManager.js';
+import { getDataDir } from './EnvConfig.js';
+import CongaApiError from './CongaApiError.js';
+import PackageBuildError from './PackageBuildError.js';
+import TransactionStateError from './TransactionStateError.js';
+import NotFoundError from './NotFoundError.js';
+import { CALLBACK_EVENTS, describeCallbackEvent } from './CallbackEvents.js';
+import { buildApiFields, describeField, getFieldType, validateField } from './FieldTypes.js';
+import { buildApiAuth, describeSignerAuth, getSignerAuth, stripAuthAnswers, validateSignerAuth } from './SignerAuth.js';
 
 // Make sure data directory exists
-const dataDir = path.join(__dirname, '..', '..', '..', 'data');
+const dataDir = getDataDir();
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Path to the transactions storage file
-const TRANSACTIONS_FILE_PATH = path.join(dataDir, 'transactions.json');
+/**
+ * Get the transactions storage file of a configuration profile. The default
+ * profile keeps the original transactions.json.
+ * @param {string} profile - Profile name
+ * @returns {string} File path
+ */
+export function getTransactionsFilePath(profile = DEFAULT_PROFILE) {
+  return path.join(dataDir, profile === DEFAULT_PROFILE ? 'transactions.json' : `transactions-${profile}.json`);
+}
+
+// Whole-package downloads: API client method and fallback file name suffix
+const DOWNLOAD_FORMATS = {
+  zip: { method: 'downloadDocumentsZip', suffix: '.zip' },
+  pdf: { method: 'downloadCombinedPdf', suffix: '.pdf' },
+  evidence: { method: 'downloadEvidenceSummary', suffix: ' - Evidence Summary.pdf' }
+};
+
+// Statuses in which a package can still be edited
+const DRAFT_STATUSES = ['CREATED', 'DRAFT'];
+
+/**
+ * Add the failed operation to an error.
+ * Conga API errors, state errors and not-found errors are passed through
+ * unchanged so that callers keep their status, code and response body.
+ * @param {Error} error - Original error
+ * @param {string} operation - Description of the failed operation
+ * @returns {Error} Error to throw
+ */
+function wrapError(error, operation) {
+  if (error instanceof CongaApiError) {
+    error.operation = error.operation || operation;
+    return error;
+  }
+  if (error instanceof TransactionStateError || error instanceof NotFoundError) {
+    return error;
+  }
+  return new Error(`${operation}: ${error.message}`);
+}
+
+/**
+ * Check a signing order value. Orders are whole numbers from 0; signers with the
+ * same order sign in parallel.
+ * @param {*} order - Signing order
+ * @returns {boolean} Whether the order is valid
+ */
+export function isValidSigningOrder(order) {
+  return Number.isInteger(order) && order >= 0;
+}
+
+/**
+ * Check whether a value is an object, not null or an array
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it is
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
 
 /**
  * TransactionManager
@@ -34,14 +93,26 @@ class TransactionManager {
     }
   }
 
+  /**
+   * Get the transactions file of the active configuration profile, so that
+   * transactions from different Conga Sign accounts never mix
+   * @returns {string} File path
+   */
+  getFilePath() {
+    const { configManager } = this.apiClient;
+    return getTransactionsFilePath(configManager ? configManager.getActiveProfile() : DEFAULT_PROFILE);
+  }
+
   /**
    * Load transactions from storage
    * @returns {Array} Loaded transactions
    */
   loadTransactions() {
+    this.filePath = this.getFilePath();
     try {
-      if (fs.existsSync(TRANSACTIONS_FILE_PATH)) {
-        const data = fs.readFileSync(TRANSACTIONS_FILE_PATH, 'utf8');
+      if (fs.existsSync(this.filePath)) {
+        const data = fs.readFileSync(this.filePath, 'utf8');
+        this.fileModified = this.getFileModified();
         const parsed = JSON.parse(data);
         // Make sure we return an array, even if data is corrupted
         return Array.isArray(parsed) ? parsed : [];
@@ -63,11 +134,14 @@ class TransactionManager {
    */
   saveTransactions(transactions) {
     try {
+      // Written to the file the transactions were loaded from, even if the
+      // active profile has changed since
       fs.writeFileSync(
-        TRANSACTIONS_FILE_PATH,
+        this.filePath,
         JSON.stringify(transactions, null, 2),
         'utf8'
       );
+      this.fileModified = this.getFileModified();
       this.transactions = transactions;
       return true;
     } catch (error) {
@@ -76,6 +150,36 @@ class TransactionManager {
     }
   }
 
+  /**
+   * Get the modification time of the transactions file
+   * @returns {number|null} Modification time in milliseconds, or null if it cannot be read
+   */
+  getFileModified() {
+    try {
+      return fs.statSync(this.filePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reload transactions if the file was changed since this instance last read or wrote it.
+   * Each router and service has its own TransactionManager, so changes made by one
+   * (for example a callback updating a status) must be picked up by the others.
+   * Switching the configuration profile switches to that profile's transactions.
+   */
+  syncFromDisk() {
+    if (this.getFilePath() !== this.filePath) {
+      this.transactions = this.loadTransactions();
+      return;
+    }
+
+    const modified = this.getFileModified();
+    if (modified !== null && modified !== this.fileModified) {
+      this.transactions = this.loadTransactions();
+    }
+  }
+
   /**
    * Get all transactions
    * @param {boolean} refresh - Whether to refresh from API
@@ -87,6 +191,7 @@ class TransactionManager {
     if (!this.transactions) {
       this.transactions = [];
     }
+    this.syncFromDisk();
     
     if (refresh) {
       try {
@@ -125,6 +230,59 @@ class TransactionManager {
     return [...this.transactions];
   }
 
+  /**
+   * Sync every package in the account, not just the first page, updating
+   * local records as each page arrives
+   * @param {Object} options - Sync options
+   * @param {string} [options.ownerEmail] - Owner email (default: platform email from config)
+   * @param {number} [options.pageSize] - Packages requested per page (default: 100)
+   * @param {Function} [options.onProgress] - Called after each page with { pages, discovered, total }
+   * @returns {Promise<Object>} { pages, discovered, total, transactions }
+   */
+  async syncAllTransactions({ ownerEmail, pageSize = 100, onProgress } = {}) {
+    this.syncFromDisk();
+
+    const progress = { pages: 0, discovered: 0, total: null };
+    let batch = [];
+
+    const iterator = this.apiClient.iteratePackages({
+      ownerEmail,
+      pageSize,
+      onPage: ({ page, total }) => {
+        progress.pages = page;
+        progress.total = total;
+      }
+    });
+
+    const filePath = this.filePath;
+    for await (const apiPackage of iterator) {
+      // Packages listed with one profile's credentials must not be saved to another's transactions
+      if (this.getFilePath() !== filePath) {
+        throw new Error('The configuration profile was switched during the full sync');
+      }
+      batch.push(apiPackage);
+      if (batch.length === pageSize) {
+        this.updateTransactionsFromApi(batch);
+        progress.discovered += batch.length;
+        batch = [];
+        if (onProgress) {
+          onProgress({ ...progress });
+        }
+      }
+    }
+
+    if (batch.length > 0) {
+      this.updateTransactionsFromApi(batch);
+      progress.discovered += batch.length;
+    }
+    if (onProgress) {
+      onProgress({ ...progress });
+    }
+
+    console.log(`Full sync finished: ${progress.discovered} packages in ${progress.pages} pages`);
+    return { ...progress, transactions: [...this.transactions] };
+  }
+
   /**
    * Update local transaction records with data from API
    * @param {Array} apiPackages - Packages from API
@@ -154,7 +312,7 @@ class TransactionManager {
           ...updatedTransactions[existingIndex],
           status: apiPackage.status || apiPackage.typeAsString || 'UNKNOWN',
           updated: new Date().toISOString(),
-          apiData: apiPackage
+          apiData: stripAuthAnswers(apiPackage)
         };
       } else {
         // Add new transaction if we don't have it locally
@@ -180,7 +338,7 @@ class TransactionManager {
           status: apiPackage.status || apiPackage.typeAsString || 'UNKNOWN',
           signers: signers,
           documents: [],
-          apiData: apiPackage,
+          apiData: stripAuthAnswers(apiPackage),
           history: [
             {
               action: 'DISCOVERED',
@@ -202,71 +360,148 @@ class TransactionManager {
     }
   }
 
+  /**
+   * Map a Conga approval field onto a local field record
+   * @param {Object} field - Field from the API
+   * @param {Object} approval - Approval holding the field
+   * @returns {Object} Field record with its sandbox type
+   */
+  mapApiField(field, approval = {}) {
+    return {
+      id: field.id,
+      approvalId: approval.id,
+      roleId: approval.role,
+      type: getFieldType(field),
+      subtype: field.subtype,
+      name: field.name,
+      value: field.value,
+      validation: field.validation,
+      page: field.page,
+      left: field.left,
+      top: field.top,
+      width: field.width,
+      height: field.height,
+      signed: approval.signed || null
+    };
+  }
+
+  /**
+   * Map a Conga package onto a local transaction record.
+   * Local-only details (history, upload metadata) are kept from the existing record.
+   * @param {Object} apiPackage - Package returned by GET /cs-packages/:id
+   * @param {Object|null} existing - Existing local transaction, if any
+   * @returns {Object} Transaction record
+   */
+  mapPackageToTransaction(apiPackage, existing = null) {
+    const now = new Date().toISOString();
+    const existingSigners = existing && Array.isArray(existing.signers) ? existing.signers : [];
+    const existingDocuments = existing && Array.isArray(existing.documents) ? existing.documents : [];
+    const apiDocuments = Array.isArray(apiPackage.documents) ? apiPackage.documents : [];
+
+    // Approvals live on documents; group them by role to work out signer progress
+    const approvals = apiDocuments.flatMap(document => document.approvals || []);
+
+    const signers = (apiPackage.roles || [])
+      .filter(role => role.type !== 'SENDER')
+      .map(role => {
+        const apiSigner = (role.signers && role.signers[0]) || role;
+        const localSigner = existingSigners.find(s => s.id === role.id) || {};
+        const roleApprovals = approvals.filter(approval => approval.role === role.id);
+        const allSigned = roleApprovals.length > 0 && roleApprovals.every(approval => approval.signed);
+
+        return {
+          ...localSigner,
+          id: role.id,
+          name: `${apiSigner.firstName || ''} ${apiSigner.lastName || ''}`.trim() ||
+            apiSigner.name || localSigner.name || role.name || 'Unknown',
+          email: apiSigner.email || localSigner.email || 'unknown@example.com',
+          role: role.id,
+          status: role.signingStatus || (allSigned ? 'COMPLETED' : localSigner.status || 'PENDING'),
+          order: role.index !== undefined ? role.index : localSigner.order,
+          authentication: apiSigner.auth ? getSignerAuth(apiSigner.auth) : localSigner.authentication || { method: 'NONE' },
+          apiData: stripAuthAnswers(role)
+        };
+      });
+
+    const documents = apiDocuments.map(apiDocument => {
+      const localDocument = existingDocuments.find(d => d.id === apiDocument.id) || {};
+
+      return {
+        ...localDocument,
+        id: apiDocument.id,
+        name: apiDocument.name || localDocument.name || 'Document',
+        type: localDocument.type || apiDocument.contentType || 'application/pdf',
+        size: localDocument.size !== undefined ? localDocument.size : apiDocument.size,
+        status: localDocument.status || 'ADDED',
+        fields: (apiDocument.approvals || []).flatMap(approval =>
+          (approval.fields || []).map(field => this.mapApiField(field, approval))
+        ),
+        apiData: apiDocument
+      };
+    });
+
+    return {
+      ...(existing || {
+        created: now,
+        history: [
+          {
+            action: 'DISCOVERED',
+            timestamp: now,
+            details: 'Transaction discovered from API'
+          }
+        ]
+      }),
+      id: apiPackage.id,
+      name: apiPackage.name || (existing && existing.name) || 'Unnamed Package',
+      description: apiPackage.description || '',
+      emailMessage: apiPackage.emailMessage || '',
+      status: apiPackage.status || (existing && existing.status) || 'UNKNOWN',
+      sender: apiPackage.sender ? {
+        email: apiPackage.sender.email,
+        name: `${apiPackage.sender.firstName || ''} ${apiPackage.sender.lastName || ''}`.trim()
+      } : (existing && existing.sender) || null,
+      expiry: apiPackage.due || apiPackage.expiryDate || null,
+      signers,
+      documents,
+      updated: now,
+      apiData: stripAuthAnswers(apiPackage)
+    };
+  }
+
   /**
    * Get a transaction by ID
    * @param {string} id - Transaction ID
    * @param {boolean} refresh - Whether to refresh from API
    * @returns {Promise<Object|null>} The transaction or null if not found
+   * @throws {CongaApiError} If the transaction is not stored locally and Conga Sign
+   *   fails for any reason other than not having the package
    */
   async getTransactionById(id, refresh = false) {
+    this.syncFromDisk();
     const localTransaction = this.transactions.find(t => t.id === id);
     
     if (refresh || !localTransaction) {
       try {
-        // Try to get details from API
-        const apiResponse = await this.apiClient.getTransactionDetails(id);
+        // Get the full package from the API
+        const apiPackage = await this.apiClient.getPackage(id);
         
-        if (apiResponse) {
-          if (localTransaction) {
-            // Update existing transaction
-            const updatedTransaction = {
-              ...localTransaction,
-              status: apiResponse.status,
-              updated: new Date().toISOString(),
-              apiData: apiResponse
-            };
-            
-            // Update transaction in the array
-            const updatedTransactions = this.transactions.map(t => 
-              t.id === id ? updatedTransaction : t
-            );
-            
-            this.saveTransactions(updatedTransactions);
-            return updatedTransaction;
-          } else {
-            // Create new transaction record
-            const newTransaction = {
-              id: apiResponse.id,
-              name: apiResponse.name,
-              created: new Date().toISOString(),
-              updated: new Date().toISOString(),
-              status: apiResponse.status,
-              signers: apiResponse.roles ? apiResponse.roles.map(role => ({
-                id: role.id,
-                name: role.name,
-                email: role.email,
-                status: role.status || 'PENDING'
-              })) : [],
-              documents: [],
-              apiData: apiResponse,
-              history: [
-                {
-                  action: 'DISCOVERED',
-                  timestamp: new Date().toISOString(),
-                  details: 'Transaction discovered from API'
-                }
-              ]
-            };
-            
-            // Add to transactions array
-            const updatedTransactions = [...this.transactions, newTransaction];
-            this.saveTransactions(updatedTransactions);
-            return newTransaction;
-          }
+        if (apiPackage && apiPackage.id) {
+          const transaction = this.mapPackageToTransaction(apiPackage, localTransaction);
+          
+          const updatedTransactions = localTransaction
+            ? this.transactions.map(t => (t.id === id ? transaction : t))
+            : [...this.transactions, transaction];
+          
+          this.saveTransactions(updatedTransactions);
+          return transaction;
         }
       } catch (error) {
         console.error(`Error getting transaction ${id} from API:`, error);
-        // Continue with local data on error
+        // Continue with local data on error. Without local data an unconfigured
+        // client or a missing package means "not found"; upstream failures don't.
+        if (!localTransaction && error instanceof CongaApiError && error.status !== 404) {
+          throw error;
+        }
       }
     }
     
@@ -302,13 +537,139 @@ class TransactionManager {
       };
       
       // Save to transactions array
+      this.syncFromDisk();
       const updatedTransactions = [...this.transactions, transaction];
       this.saveTransactions(updatedTransactions);
       
       return transaction;
     } catch (error) {
       console.error('Error creating transaction:', error);
-      throw new Error(`Failed to create transaction: ${error.message}`);
+      throw wrapError(error, 'Failed to create transaction');
+    }
+  }
+
+  /**
+   * Summarize a Conga template for display
+   * @param {Object} template - Template package from the API
+   * @returns {Object} Template with its roles and documents
+   */
+  mapTemplate(template) {
+    return {
+      id: template.id,
+      name: template.name || 'Unnamed Template',
+      description: template.description || '',
+      updated: template.updated || null,
+      roles: (template.roles || [])
+        .filter(role => role.type !== 'SENDER')
+        .map(role => {
+          const signer = role.signers && role.signers[0];
+          return {
+            id: role.id,
+            name: role.name,
+            index: role.index,
+            // Roles without a signer email are placeholders to be filled in
+            placeholder: !signer || !signer.email,
+            email: signer && signer.email ? signer.email : null
+          };
+        }),
+      documents: (template.documents || []).map(document => ({
+        id: document.id,
+        name: document.name
+      }))
+    };
+  }
+
+  /**
+   * List the templates available in Conga Sign
+   * @param {Object} options - List options (from, to)
+   * @returns {Promise<Array>} Templates
+   */
+  async listTemplates(options = {}) {
+    try {
+      const response = await this.apiClient.listTemplates(options);
+      const templates = response.results || response.packages || [];
+      return templates.map(template => this.mapTemplate(template));
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      throw wrapError(error, 'Failed to list templates');
+    }
+  }
+
+  /**
+   * Get a template with its placeholder roles
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Template
+   */
+  async getTemplate(templateId) {
+    try {
+      const template = await this.apiClient.getTemplate(templateId);
+      return this.mapTemplate(template);
+    } catch (error) {
+      console.error(`Error getting template ${templateId}:`, error);
+      throw wrapError(error, 'Failed to get template');
+    }
+  }
+
+  /**
+   * Create a transaction from a template
+   * @param {string} templateId - Template ID
+   * @param {Object} options - Package options
+   * @param {string} [options.name] - Package name (defaults to the template name)
+   * @param {string} [options.description] - Package description
+   * @param {Object} options.signers - Signers keyed by template role ID ({ firstName, lastName, email })
+   * @returns {Promise<Object>} Created transaction
+   */
+  async createTransactionFromTemplate(templateId, options = {}) {
+    try {
+      const template = await this.getTemplate(templateId);
+      const signers = options.signers || {};
+
+      const unbound = template.roles.filter(role => role.placeholder && !(signers[role.id] && signers[role.id].email));
+      if (unbound.length > 0) {
+        throw new Error(`Signers are required for template roles: ${unbound.map(role => role.name).join(', ')}`);
+      }
+
+      // Bind the given signers to their template roles; other roles keep the template's signer
+      const roles = template.roles
+        .filter(role => signers[role.id])
+        .map(role => ({
+          id: role.id,
+          name: role.name,
+          signers: [{
+            firstName: signers[role.id].firstName,
+            lastName: signers[role.id].lastName,
+            email: signers[role.id].email,
+            delivery: { email: true }
+          }]
+        }));
+
+      const response = await this.apiClient.createPackageFromTemplate(templateId, {
+        name: options.name || template.name,
+        ...(options.description && { description: options.description }),
+        roles
+      });
+
+      const apiPackage = await this.apiClient.getPackage(response.id);
+      const now = new Date().toISOString();
+      const transaction = this.mapPackageToTransaction(apiPackage, {
+        created: now,
+        templateId,
+        history: [
+          {
+            action: 'CREATE_FROM_TEMPLATE',
+            timestamp: now,
+            details: `Transaction created from template ${template.name}`
+          }
+        ]
+      });
+
+      this.syncFromDisk();
+      this.saveTransactions([...this.transactions, transaction]);
+
+      return transaction;
+    } catch (error) {
+      console.error(`Error creating transaction from template ${templateId}:`, error);
+      throw wrapError(error, 'Failed to create transaction from template');
     }
   }
 
@@ -322,7 +683,7 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Add signer via API
@@ -332,22 +693,30 @@ class TransactionManager {
         const apiSigner = response.signers[0];
         
         // Create signer record
+        // Answers to authentication questions are never stored locally
         const signer = {
           id: apiSigner.id,
           name: `${signerData.firstName} ${signerData.lastName}`,
           email: signerData.email,
           role: apiSigner.id,
           status: 'PENDING',
-          apiData: apiSigner
+          order: response.index !== undefined ? response.index : signerData.order,
+          authentication: getSignerAuth(buildApiAuth(signerData.authentication)),
+          apiData: stripAuthAnswers(apiSigner)
         };
         
+        const authDetails = signer.authentication.method !== 'NONE'
+          ? ` with ${describeSignerAuth(signerData.authentication)} authentication`
+          : '';
+        const orderDetails = signer.order !== undefined ? `, signing order ${signer.order}` : '';
+        
         // Update transaction
         transaction.signers.push(signer);
         transaction.updated = new Date().toISOString();
         transaction.history.push({
           action: 'ADD_SIGNER',
           timestamp: new Date().toISOString(),
-          details: `Added signer: ${signerData.firstName} ${signerData.lastName} (${signerData.email})`
+          details: `Added signer: ${signerData.firstName} ${signerData.lastName} (${signerData.email})${orderDetails}${authDetails}`
         });
         
         // Save updated transaction
@@ -360,7 +729,242 @@ class TransactionManager {
       return transaction;
     } catch (error) {
       console.error(`Error adding signer to transaction ${transactionId}:`, error);
-      throw new Error(`Failed to add signer: ${error.message}`);
+      throw wrapError(error, 'Failed to add signer');
+    }
+  }
+
+  /**
+   * Group signers by signing order. Signers in the same group sign in parallel.
+   * @param {Array<Object>} signers - Transaction signers
+   * @returns {Array<Array<Object>>} Groups in signing order
+   */
+  getSigningGroups(signers = []) {
+    const groups = new Map();
+    signers.forEach(signer => {
+      const order = signer.order !== undefined && signer.order !== null ? signer.order : 0;
+      groups.set(order, [...(groups.get(order) || []), signer]);
+    });
+
+    return [...groups.keys()].sort((a, b) => a - b).map(order => groups.get(order));
+  }
+
+  /**
+   * Change the signing order of a draft transaction's signers
+   * @param {string} transactionId - Transaction ID
+   * @param {Array<Object>} signerOrder - New order: [{ roleId, order }]; signers with the same order sign in parallel
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async reorderSigners(transactionId, signerOrder) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'reorder signers');
+      
+      const unknown = signerOrder.filter(entry => !transaction.signers.some(signer => signer.role === entry.roleId));
+      if (unknown.length > 0) {
+        throw new NotFoundError(`Signer role not found in transaction: ${unknown.map(entry => entry.roleId).join(', ')}`, { resource: 'signer' });
+      }
+      
+      // Reorder via API
+      await this.apiClient.updateRoleOrder(transactionId, signerOrder.map(entry => ({ id: entry.roleId, index: entry.order })));
+      
+      // Update transaction
+      signerOrder.forEach(entry => {
+        transaction.signers.find(signer => signer.role === entry.roleId).order = entry.order;
+      });
+      transaction.signers.sort((a, b) => (a.order || 0) - (b.order || 0));
+      
+      const groups = this.getSigningGroups(transaction.signers)
+        .map(group => group.map(signer => signer.name).join(' + '));
+      
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'REORDER_SIGNERS',
+        timestamp: new Date().toISOString(),
+        details: `Signing order: ${groups.join(' → ')}`
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error reordering signers of transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to reorder signers');
+    }
+  }
+
+  /**
+   * Make sure a transaction can still be edited
+   * @param {Object} transaction - Transaction
+   * @param {string} operation - Description of the change, for the error message
+   */
+  requireDraft(transaction, operation) {
+    if (!DRAFT_STATUSES.includes(transaction.status)) {
+      throw new TransactionStateError(
+        `Cannot ${operation}: transaction ${transaction.id} is ${transaction.status}; only draft packages can be edited`,
+        { transactionId: transaction.id, status: transaction.status }
+      );
+    }
+  }
+
+  /**
+   * Rename a draft transaction or change its description or email message
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} updates - Any of name, description and emailMessage
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async updateDraft(transactionId, updates) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'update the package');
+      
+      const changes = Object.fromEntries(['name', 'description', 'emailMessage']
+        .filter(key => updates[key] !== undefined && updates[key] !== (transaction[key] || ''))
+        .map(key => [key, updates[key]]));
+      if (Object.keys(changes).length === 0) {
+        return transaction;
+      }
+      
+      // Update package via API
+      await this.apiClient.updatePackage(transactionId, changes);
+      
+      const details = [
+        changes.name !== undefined && `Renamed "${transaction.name}" to "${changes.name}"`,
+        changes.description !== undefined && 'Changed the description',
+        changes.emailMessage !== undefined && 'Changed the email message'
+      ].filter(Boolean);
+      
+      // Update transaction
+      Object.assign(transaction, changes);
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'UPDATE',
+        timestamp: new Date().toISOString(),
+        details: details.join('; ')
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error updating transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to update transaction');
+    }
+  }
+
+  /**
+   * Replace the signer of a draft transaction's role. The role keeps its fields and signing order.
+   * @param {string} transactionId - Transaction ID
+   * @param {string} roleId - Role ID of the signer to replace
+   * @param {Object} signerData - New signer details, with an optional authentication setting
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async replaceSigner(transactionId, roleId, signerData) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'replace a signer');
+      
+      const signer = transaction.signers.find(s => s.role === roleId);
+      if (!signer) {
+        throw new NotFoundError(`Signer role not found in transaction: ${roleId}`, { resource: 'signer', id: roleId });
+      }
+      
+      // Replace signer via API
+      const response = await this.apiClient.updateSigner(transactionId, roleId, signerData);
+      const apiSigner = response && response.signers && response.signers[0];
+      
+      const previous = `${signer.name} (${signer.email})`;
+      
+      // Update signer record
+      // Answers to authentication questions are never stored locally
+      Object.assign(signer, {
+        name: `${signerData.firstName} ${signerData.lastName}`,
+        email: signerData.email,
+        authentication: getSignerAuth(buildApiAuth(signerData.authentication)),
+        ...(apiSigner && { apiData: stripAuthAnswers(apiSigner) })
+      });
+      
+      // Update transaction
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'REPLACE_SIGNER',
+        timestamp: new Date().toISOString(),
+        details: `Replaced signer ${previous} with ${signer.name} (${signer.email})`
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error replacing signer ${roleId} of transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to replace signer');
+    }
+  }
+
+  /**
+   * Remove a signer, and every field assigned to them, from a draft transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} roleId - Role ID of the signer
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async removeSigner(transactionId, roleId) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'remove a signer');
+      
+      const signer = transaction.signers.find(s => s.role === roleId);
+      if (!signer) {
+        throw new NotFoundError(`Signer role not found in transaction: ${roleId}`, { resource: 'signer', id: roleId });
+      }
+      
+      // Remove role via API
+      await this.apiClient.deleteRole(transactionId, roleId);
+      
+      // Update transaction
+      transaction.signers = transaction.signers.filter(s => s.role !== roleId);
+      transaction.documents.forEach(document => {
+        document.fields = (document.fields || []).filter(field => field.roleId !== roleId);
+      });
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'REMOVE_SIGNER',
+        timestamp: new Date().toISOString(),
+        details: `Removed signer: ${signer.name} (${signer.email}) and their fields`
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error removing signer ${roleId} from transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to remove signer');
     }
   }
 
@@ -368,17 +972,19 @@ class TransactionManager {
    * Add a document to a transaction
    * @param {string} transactionId - Transaction ID
    * @param {Object} file - Document file
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Called with (bytesSent, totalBytes) while the file is sent to Conga Sign
    * @returns {Promise<Object>} Result with transaction and document ID
    */
-  async addDocument(transactionId, file) {
+  async addDocument(transactionId, file, { onProgress } = {}) {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Add document via API
-      const response = await this.apiClient.addDocument(transactionId, file);
+      const response = await this.apiClient.addDocument(transactionId, file, { onProgress });
       
       if (response && response.id) {
         // Create document record
@@ -415,7 +1021,7 @@ class TransactionManager {
       }
     } catch (error) {
       console.error(`Error adding document to transaction ${transactionId}:`, error);
-      throw new Error(`Failed to add document: ${error.message}`);
+      throw wrapError(error, 'Failed to add document');
     }
   }
 
@@ -427,34 +1033,51 @@ class TransactionManager {
    * @param {Object} fieldOptions - Field options
    * @returns {Promise<Object>} Updated transaction
    */
-  async addSignatureField(transactionId, documentId, roleId, fieldOptions) {
+  async addSignatureField(transactionId, documentId, roleId, fieldOptions = {}) {
+    return this.addField(transactionId, documentId, roleId, { ...fieldOptions, type: 'SIGNATURE' });
+  }
+
+  /**
+   * Add a field of any supported type to a document
+   * @param {string} transactionId - Transaction ID
+   * @param {string} documentId - Document ID
+   * @param {string} roleId - Role ID of the signer
+   * @param {Object} fieldOptions - Field options: type (see FIELD_TYPES), position, name and validation
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async addField(transactionId, documentId, roleId, fieldOptions = {}) {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Verify document exists
-      const documentExists = transaction.documents.some(doc => doc.id === documentId);
-      if (!documentExists) {
-        throw new Error(`Document not found in transaction: ${documentId}`);
+      const document = transaction.documents.find(doc => doc.id === documentId);
+      if (!document) {
+        throw new NotFoundError(`Document not found in transaction: ${documentId}`, { resource: 'document', id: documentId });
       }
       
       // Verify role exists
       const signerExists = transaction.signers.some(signer => signer.role === roleId);
       if (!signerExists) {
-        throw new Error(`Signer role not found in transaction: ${roleId}`);
+        throw new NotFoundError(`Signer role not found in transaction: ${roleId}`, { resource: 'signer', id: roleId });
       }
       
-      // Add signature field via API
-      await this.apiClient.addSignatureField(transactionId, documentId, roleId, fieldOptions);
+      // Add the field via API
+      const fields = buildApiFields(fieldOptions);
+      const approval = await this.apiClient.addFields(transactionId, documentId, roleId, fields);
       
       // Update transaction
+      document.fields = [
+        ...(document.fields || []),
+        ...((approval && approval.fields) || fields).map(field => this.mapApiField(field, { ...approval, role: roleId }))
+      ];
       transaction.updated = new Date().toISOString();
       transaction.history.push({
-        action: 'ADD_SIGNATURE_FIELD',
+        action: 'ADD_FIELD',
         timestamp: new Date().toISOString(),
-        details: `Added signature field to document ${documentId} for role ${roleId}`
+        details: `Added ${describeField(fieldOptions)} to document ${documentId} for role ${roleId}`
       });
       
       // Save updated transaction
@@ -465,8 +1088,102 @@ class TransactionManager {
       
       return transaction;
     } catch (error) {
-      console.error(`Error adding signature field to document ${documentId}:`, error);
-      throw new Error(`Failed to add signature field: ${error.message}`);
+      console.error(`Error adding field to document ${documentId}:`, error);
+      throw wrapError(error, 'Failed to add field');
+    }
+  }
+
+  /**
+   * Remove a document, and its fields, from a draft transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async removeDocument(transactionId, documentId) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'remove a document');
+      
+      const document = transaction.documents.find(doc => doc.id === documentId);
+      if (!document) {
+        throw new NotFoundError(`Document not found in transaction: ${documentId}`, { resource: 'document', id: documentId });
+      }
+      
+      // Remove document via API
+      await this.apiClient.deleteDocument(transactionId, documentId);
+      
+      // Update transaction
+      transaction.documents = transaction.documents.filter(doc => doc.id !== documentId);
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'REMOVE_DOCUMENT',
+        timestamp: new Date().toISOString(),
+        details: `Removed document: ${document.name} (ID: ${document.id})`
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error removing document ${documentId} from transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to remove document');
+    }
+  }
+
+  /**
+   * Remove a field from a document of a draft transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string} documentId - Document ID
+   * @param {string} fieldId - Field ID
+   * @returns {Promise<Object>} Updated transaction
+   */
+  async removeField(transactionId, documentId, fieldId) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+      this.requireDraft(transaction, 'remove a field');
+      
+      const document = transaction.documents.find(doc => doc.id === documentId);
+      if (!document) {
+        throw new NotFoundError(`Document not found in transaction: ${documentId}`, { resource: 'document', id: documentId });
+      }
+      
+      const field = (document.fields || []).find(f => f.id === fieldId);
+      if (!field) {
+        throw new NotFoundError(`Field not found in document: ${fieldId}`, { resource: 'field', id: fieldId });
+      }
+      
+      // Remove field via API
+      await this.apiClient.deleteField(transactionId, documentId, field.approvalId, fieldId);
+      
+      // Update transaction
+      document.fields = document.fields.filter(f => f.id !== fieldId);
+      transaction.updated = new Date().toISOString();
+      transaction.history.push({
+        action: 'REMOVE_FIELD',
+        timestamp: new Date().toISOString(),
+        details: `Removed ${describeField(field)} from document ${documentId}`
+      });
+      
+      // Save updated transaction
+      const updatedTransactions = this.transactions.map(t =>
+        t.id === transactionId ? transaction : t
+      );
+      this.saveTransactions(updatedTransactions);
+      
+      return transaction;
+    } catch (error) {
+      console.error(`Error removing field ${fieldId} from document ${documentId}:`, error);
+      throw wrapError(error, 'Failed to remove field');
     }
   }
 
@@ -479,7 +1196,7 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Send package via API
@@ -503,8 +1220,206 @@ class TransactionManager {
       return transaction;
     } catch (error) {
       console.error(`Error sending transaction ${transactionId}:`, error);
-      throw new Error(`Failed to send transaction: ${error.message}`);
+      throw wrapError(error, 'Failed to send transaction');
+    }
+  }
+
+  /**
+   * Check a complete package definition before anything is created
+   * @param {Object} definition - Package definition (see createCompletePackage)
+   * @param {Array<Object>} files - Uploaded files
+   * @returns {Array<Object>} Documents paired with their files
+   */
+  validatePackageDefinition(definition, files) {
+    const fail = (message, index = null) => new PackageBuildError(message, { step: 'validate', index });
+    if (!isPlainObject(definition)) {
+      throw fail('Package definition must be an object');
+    }
+
+    const signers = definition.signers || [];
+    const documents = definition.documents || [];
+    if (!Array.isArray(signers)) {
+      throw fail('Package signers must be a list');
+    }
+    if (!Array.isArray(documents)) {
+      throw fail('Package documents must be a list');
+    }
+
+    if (!definition.name) {
+      throw fail('Package name is required');
     }
+
+    signers.forEach((signer, index) => {
+      const complete = isPlainObject(signer) && signer.firstName && signer.lastName &&
+        typeof signer.email === 'string' && signer.email;
+      if (!complete) {
+        throw fail(`Signer ${index + 1} needs a first name, last name and email`, index);
+      }
+
+      const problem = validateSignerAuth(signer.authentication);
+      if (problem) {
+        throw fail(`Signer ${index + 1} has invalid authentication: ${problem}`, index);
+      }
+
+      if (signer.order !== undefined && !isValidSigningOrder(signer.order)) {
+        throw fail(`Signer ${index + 1} has an invalid signing order: ${signer.order}`, index);
+      }
+    });
+
+    return documents.map((document, index) => {
+      if (!isPlainObject(document)) {
+        throw fail(`Document ${index + 1} must be an object`, index);
+      }
+      if (document.fields !== undefined && !Array.isArray(document.fields)) {
+        throw fail(`Fields of document ${index + 1} must be a list`, index);
+      }
+
+      // Documents name their upload by form field, otherwise they take uploads in order
+      const file = document.file
+        ? files.find(upload => upload.fieldname === document.file)
+        : files[index];
+
+      if (!file) {
+        throw fail(`No file uploaded for document ${index + 1}${document.file ? ` ("${document.file}")` : ''}`, index);
+      }
+
+      (document.fields || []).forEach((field, fieldIndex) => {
+        if (!isPlainObject(field)) {
+          throw fail(`Field ${fieldIndex + 1} of document ${index + 1} must be an object`, index);
+        }
+
+        const signerIndex = this.findSignerIndex(signers, field.signer);
+        if (signerIndex < 0) {
+          throw fail(`Field ${fieldIndex + 1} of document ${index + 1} refers to unknown signer "${field.signer}"`, index);
+        }
+
+        const problem = validateField(field);
+        if (problem) {
+          throw fail(`Field ${fieldIndex + 1} of document ${index + 1} is invalid: ${problem}`, index);
+        }
+      });
+
+      return { ...document, file };
+    });
+  }
+
+  /**
+   * Resolve a field's signer reference (index or email) to a position in the signers list
+   * @param {Array<Object>} signers - Signers from the definition
+   * @param {number|string} reference - Signer index or email
+   * @returns {number} Signer index, or -1 if there is no such signer
+   */
+  findSignerIndex(signers, reference) {
+    if (reference === undefined || reference === null || reference === '') {
+      return signers.length === 1 ? 0 : -1;
+    }
+
+    if (Number.isInteger(reference)) {
+      return reference >= 0 && reference < signers.length ? reference : -1;
+    }
+
+    return signers.findIndex(signer => signer.email.toLowerCase() === String(reference).toLowerCase());
+  }
+
+  /**
+   * Create a package with its signers, documents and fields in one call, and optionally send it.
+   * If a step fails after the package exists, the package is canceled so no orphaned draft is left.
+   * @param {Object} definition - Package definition
+   * @param {string} definition.name - Package name
+   * @param {string} [definition.description] - Package description
+   * @param {string} [definition.emailMessage] - Email message
+   * @param {Array<Object>} [definition.signers] - Signers: { firstName, lastName, email, company, authentication, order }
+   * @param {Array<Object>} [definition.documents] - Documents: { file, fields: [{ signer, type, page, left, top, width, height, ... }] },
+   *   where file is the upload field name, signer is a signer index or email and type is one of FIELD_TYPES
+   * @param {boolean} [definition.send] - Send the package once it is built
+   * @param {Array<Object>} files - Uploaded files (multer)
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Called with (file, bytesSent, totalBytes) while each document is sent to Conga Sign
+   * @returns {Promise<Object>} The built transaction
+   */
+  async createCompletePackage(definition, files = [], { onProgress } = {}) {
+    const documents = this.validatePackageDefinition(definition, files);
+    const signers = definition.signers || [];
+
+    let step = 'create';
+    let index = null;
+    let transaction = null;
+
+    try {
+      transaction = await this.createTransaction({
+        name: definition.name,
+        ...(definition.description && { description: definition.description }),
+        ...(definition.emailMessage && { emailMessage: definition.emailMessage })
+      });
+
+      step = 'addSigner';
+      const roleIds = [];
+      for (index = 0; index < signers.length; index++) {
+        const updated = await this.addSigner(transaction.id, signers[index]);
+        roleIds.push(updated.signers[updated.signers.length - 1].role);
+      }
+
+      for (index = 0; index < documents.length; index++) {
+        const document = documents[index];
+
+        step = 'addDocument';
+        const { documentId } = await this.addDocument(transaction.id, document.file, {
+          onProgress: onProgress && ((sent, total) => onProgress(document.file, sent, total))
+        });
+
+        step = 'addField';
+        for (const field of document.fields || []) {
+          const fieldOptions = { ...field };
+          delete fieldOptions.signer;
+          await this.addField(transaction.id, documentId, roleIds[this.findSignerIndex(signers, field.signer)], fieldOptions);
+        }
+      }
+      index = null;
+
+      if (definition.send) {
+        step = 'send';
+        await this.sendTransaction(transaction.id);
+      }
+
+      return this.getTransactionById(transaction.id);
+    } catch (error) {
+      console.error(`Error building package at step ${step}:`, error);
+
+      const details = { step, index, packageId: transaction ? transaction.id : null, cause: error };
+      if (transaction) {
+        try {
+          await this.rollbackTransaction(transaction.id, step, error);
+          details.rolledBack = true;
+        } catch (rollbackError) {
+          console.error(`Error rolling back package ${transaction.id}:`, rollbackError);
+          details.rollbackError = rollbackError.message;
+        }
+      }
+
+      throw new PackageBuildError(`Failed to build package at step "${step}": ${error.message}`, details);
+    }
+  }
+
+  /**
+   * Cancel a partially built package and record why
+   * @param {string} transactionId - Transaction ID
+   * @param {string} step - Step that failed
+   * @param {Error} error - The failure
+   */
+  async rollbackTransaction(transactionId, step, error) {
+    await this.cancelTransaction(transactionId);
+
+    const transaction = await this.getTransactionById(transactionId);
+    transaction.history.push({
+      action: 'ROLLBACK',
+      timestamp: new Date().toISOString(),
+      details: `Rolled back after step "${step}" failed: ${error.message}`
+    });
+
+    const updatedTransactions = this.transactions.map(t =>
+      t.id === transactionId ? transaction : t
+    );
+    this.saveTransactions(updatedTransactions);
   }
 
   /**
@@ -516,7 +1431,7 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Get signing status from API
@@ -554,7 +1469,7 @@ class TransactionManager {
       return transaction;
     } catch (error) {
       console.error(`Error refreshing transaction status for ${transactionId}:`, error);
-      throw new Error(`Failed to refresh transaction status: ${error.message}`);
+      throw wrapError(error, 'Failed to refresh transaction status');
     }
   }
 
@@ -569,13 +1484,13 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Check if signer exists
       const signer = transaction.signers.find(s => s.email === email);
       if (!signer) {
-        throw new Error(`Signer with email ${email} not found in transaction`);
+        throw new NotFoundError(`Signer with email ${email} not found in transaction`, { resource: 'signer', id: email });
       }
       
       // Resend notification via API
@@ -601,7 +1516,7 @@ class TransactionManager {
       return transaction;
     } catch (error) {
       console.error(`Error resending notification for transaction ${transactionId}:`, error);
-      throw new Error(`Failed to resend notification: ${error.message}`);
+      throw wrapError(error, 'Failed to resend notification');
     }
   }
 
@@ -614,7 +1529,7 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Cancel package via API
@@ -638,10 +1553,56 @@ class TransactionManager {
       return true;
     } catch (error) {
       console.error(`Error canceling transaction ${transactionId}:`, error);
-      throw new Error(`Failed to cancel transaction: ${error.message}`);
+      throw wrapError(error, 'Failed to cancel transaction');
     }
   }
 
+  /**
+   * Apply a callback event from Conga Sign to the matching transaction's status,
+   * signer status and history
+   * @param {Object} event - Normalized callback event (see CallbackEvents.normalizeCallbackEvent)
+   * @returns {Object} { applied, transactionId, details }
+   */
+  applyCallbackEvent(event) {
+    this.syncFromDisk();
+    const transaction = this.transactions.find(t => t.id === event.packageId);
+    if (!transaction) {
+      return { applied: false, transactionId: null, details: `No tracked transaction for package ${event.packageId}` };
+    }
+    
+    const effect = CALLBACK_EVENTS[event.name] || {};
+    const signers = transaction.signers || [];
+    const signer = event.sessionUser
+      ? signers.find(s => s.role === event.sessionUser || s.id === event.sessionUser || s.email === event.sessionUser)
+      : null;
+    
+    // Update transaction
+    if (effect.status) {
+      transaction.status = effect.status;
+    }
+    if (effect.signerStatus) {
+      (effect.allSigners ? signers : [signer].filter(Boolean)).forEach(s => {
+        s.status = effect.signerStatus;
+      });
+    }
+    
+    const details = describeCallbackEvent(event, signer);
+    transaction.updated = new Date().toISOString();
+    transaction.history.push({
+      action: 'CALLBACK',
+      timestamp: event.createdDate || new Date().toISOString(),
+      details: `${event.name}: ${details}`
+    });
+    
+    // Save updated transaction
+    const updatedTransactions = this.transactions.map(t =>
+      t.id === transaction.id ? transaction : t
+    );
+    this.saveTransactions(updatedTransactions);
+    
+    return { applied: true, transactionId: transaction.id, details };
+  }
+
   /**
    * Get signing URL for a signer
    * @param {string} transactionId - Transaction ID
@@ -652,13 +1613,13 @@ class TransactionManager {
     try {
       const transaction = await this.getTransactionById(transactionId);
       if (!transaction) {
-        throw new Error(`Transaction not found: ${transactionId}`);
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
       }
       
       // Check if role exists
       const signer = transaction.signers.find(s => s.role === roleId);
       if (!signer) {
-        throw new Error(`Signer role ${roleId} not found in transaction`);
+        throw new NotFoundError(`Signer role ${roleId} not found in transaction`, { resource: 'signer', id: roleId });
       }
       
       // Get signing URL from API
@@ -685,7 +1646,86 @@ class TransactionManager {
       }
     } catch (error) {
       console.error(`Error getting signing URL for transaction ${transactionId}:`, error);
-      throw new Error(`Failed to get signing URL: ${error.message}`);
+      throw wrapError(error, 'Failed to get signing URL');
+    }
+  }
+
+  /**
+   * Add a history entry for a download
+   * @param {Object} transaction - Transaction
+   * @param {string} details - History details
+   */
+  recordDownload(transaction, details) {
+    const now = new Date().toISOString();
+    transaction.updated = now;
+    transaction.history = [...(transaction.history || []), {
+      action: 'DOWNLOAD',
+      timestamp: now,
+      details
+    }];
+
+    this.saveTransactions(this.transactions.map(t => (t.id === transaction.id ? transaction : t)));
+  }
+
+  /**
+   * Download a single signed document
+   * @param {string} transactionId - Transaction ID
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadDocument(transactionId, documentId) {
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+
+      const document = (transaction.documents || []).find(d => d.id === documentId);
+      if (!document) {
+        throw new NotFoundError(`Document ${documentId} not found in transaction`, { resource: 'document', id: documentId });
+      }
+
+      const file = await this.apiClient.downloadDocument(transactionId, documentId);
+      this.recordDownload(transaction, `Downloaded document ${document.name}`);
+
+      return {
+        ...file,
+        filename: file.filename || document.name
+      };
+    } catch (error) {
+      console.error(`Error downloading document ${documentId} of transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to download document');
+    }
+  }
+
+  /**
+   * Download the whole package
+   * @param {string} transactionId - Transaction ID
+   * @param {string} format - 'zip' (all documents), 'pdf' (combined PDF) or 'evidence' (evidence summary)
+   * @returns {Promise<Object>} File with buffer, contentType and filename
+   */
+  async downloadPackage(transactionId, format = 'zip') {
+    const downloadFormat = DOWNLOAD_FORMATS[format];
+    if (!downloadFormat) {
+      throw new Error(`Invalid download format "${format}". Must be one of: ${Object.keys(DOWNLOAD_FORMATS).join(', ')}`);
+    }
+
+    try {
+      const transaction = await this.getTransactionById(transactionId);
+      if (!transaction) {
+        throw new NotFoundError(`Transaction not found: ${transactionId}`, { resource: 'transaction', id: transactionId });
+      }
+
+      const file = await this.apiClient[downloadFormat.method](transactionId);
+      this.recordDownload(transaction, `Downloaded package as ${format}`);
+
+      return {
+        ...file,
+        filename: file.filename || `${transaction.name}${downloadFormat.suffix}`
+      };
+    } catch (error) {
+      console.error(`Error downloading transaction ${transactionId}:`, error);
+      throw wrapError(error, 'Failed to download transaction');
     }
   }
 
@@ -0,0 +1,151 @@
+/**
+ * Filtering, sorting and paging of the transaction list, driven by the query
+ * parameters of GET /api/transactions.
+ *
+ * - status: one status or a comma-separated list, e.g. SENT,COMPLETED
+ * - signerEmail: part of the email address of any signer
+ * - name: part of the transaction name
+ * - createdFrom, createdTo, updatedFrom, updatedTo: date range, inclusive
+ * - sort: one of SORT_FIELDS, with order asc or desc
+ * - page, limit: page of results; without limit every match is returned
+ */
+export const SORT_FIELDS = ['created', 'updated', 'name', 'status'];
+
+export const SORT_ORDERS = ['asc', 'desc'];
+
+const DATE_PARAMS = ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'];
+
+// Text searches, which take a single value
+const TEXT_PARAMS = ['name', 'signerEmail'];
+
+// A date without a time, e.g. 2025-03-27
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a query parameter is a whole number of at least 1
+ * @param {string} value - Parameter value
+ * @returns {boolean} True if it is
+ */
+function isPositiveInteger(value) {
+  return /^\d+$/.test(String(value)) && Number(value) >= 1;
+}
+
+/**
+ * Parse a date range bound. A date without a time covers the whole day, so an
+ * upper bound of 2025-03-27 includes everything on the 27th.
+ * @param {string} value - Date as given in the query
+ * @param {boolean} upper - Whether it is the upper bound of the range
+ * @returns {number} Time in milliseconds
+ */
+function parseBound(value, upper) {
+  const time = new Date(value).getTime();
+  if (upper && DATE_ONLY_PATTERN.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+/**
+ * Check the list query parameters
+ * @param {Object} query - Query parameters
+ * @returns {string|null} Description of the first problem, or null if the query is valid
+ */
+export function validateTransactionQuery(query = {}) {
+  for (const param of TEXT_PARAMS) {
+    if (query[param] !== undefined && typeof query[param] !== 'string') {
+      return `${param} must be given once, as text`;
+    }
+  }
+
+  for (const param of DATE_PARAMS) {
+    if (query[param] && Number.isNaN(new Date(query[param]).getTime())) {
+      return `${param} must be a date, e.g. 2025-03-27 or 2025-03-27T12:00:00Z`;
+    }
+  }
+
+  if (query.sort && !SORT_FIELDS.includes(query.sort)) {
+    return `Unknown sort field "${query.sort}". Must be one of: ${SORT_FIELDS.join(', ')}`;
+  }
+  if (query.order && !SORT_ORDERS.includes(query.order)) {
+    return `Unknown sort order "${query.order}". Must be one of: ${SORT_ORDERS.join(', ')}`;
+  }
+
+  for (const param of ['page', 'limit']) {
+    if (query[param] !== undefined && !isPositiveInteger(query[param])) {
+      return `${param} must be a whole number of at least 1`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare two transactions on a sort field
+ * @param {Object} a - Transaction
+ * @param {Object} b - Transaction
+ * @param {string} field - One of SORT_FIELDS
+ * @returns {number} Negative, zero or positive, ascending
+ */
+function compareOn(a, b, field) {
+  if (field === 'created' || field === 'updated') {
+    return (new Date(a[field]).getTime() || 0) - (new Date(b[field]).getTime() || 0);
+  }
+  return String(a[field] || '').localeCompare(String(b[field] || ''), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Filter, sort and page transactions. Call validateTransactionQuery first.
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Object} query - Query parameters
+ * @returns {Object} { transactions, total, page, limit }, where total counts every match
+ */
+export function queryTransactions(transactions, query = {}) {
+  const statuses = query.status
+    ? String(query.status).split(',').map(status => status.trim().toUpperCase()).filter(Boolean)
+    : [];
+  const signerEmail = (query.signerEmail || '').trim().toLowerCase();
+  const name = (query.name || '').trim().toLowerCase();
+  const ranges = [
+    ['created', query.createdFrom, query.createdTo],
+    ['updated', query.updatedFrom, query.updatedTo]
+  ];
+
+  let matches = transactions.filter(transaction => {
+    if (statuses.length > 0 && !statuses.includes(String(transaction.status || '').toUpperCase())) {
+      return false;
+    }
+    if (name && !String(transaction.name || '').toLowerCase().includes(name)) {
+      return false;
+    }
+    if (signerEmail && !(transaction.signers || []).some(signer =>
+      String(signer.email || '').toLowerCase().includes(signerEmail)
+    )) {
+      return false;
+    }
+
+    return ranges.every(([field, from, to]) => {
+      const time = new Date(transaction[field]).getTime();
+      if (!from && !to) {
+        return true;
+      }
+      if (Number.isNaN(time)) {
+        return false;
+      }
+      return (!from || time >= parseBound(from, false)) && (!to || time <= parseBound(to, true));
+    });
+  });
+
+  if (query.sort) {
+    const direction = query.order === 'desc' ? -1 : 1;
+    matches = [...matches].sort((a, b) => direction * compareOn(a, b, query.sort));
+  }
+
+  const total = matches.length;
+  const page = query.page ? Number(query.page) : 1;
+  const limit = query.limit ? Number(query.limit) : null;
+  if (limit) {
+    matches = matches.slice((page - 1) * limit, page * limit);
+  }
+
+  return { transactions: matches, total, page, limit };
+}
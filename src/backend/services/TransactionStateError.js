@@ -0,0 +1,33 @@
+/**
+ * TransactionStateError
+ * Error raised when an operation is not allowed in a transaction's current
+ * status, such as editing a package that has already been sent.
+ */
+class TransactionStateError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.transactionId - Transaction ID
+   * @param {string} details.status - Current status of the transaction
+   */
+  constructor(message, { transactionId, status } = {}) {
+    super(message);
+    this.name = 'TransactionStateError';
+    this.transactionId = transactionId;
+    this.status = status;
+  }
+
+  /**
+   * Serializable summary of the failure
+   * @returns {Object} Error details
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      transactionId: this.transactionId,
+      status: this.status
+    };
+  }
+}
+
+export default TransactionStateError;
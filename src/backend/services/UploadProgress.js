@@ -0,0 +1,131 @@
+// How long a finished upload can still be looked up
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+
+// How long an upload that never finished is kept, e.g. after the client went away
+const UNFINISHED_TTL_MS = 60 * 60 * 1000;
+
+// Shared by every instance so that progress can be read from any router
+const uploads = new Map();
+
+/**
+ * UploadProgress
+ * Tracks document uploads through both legs: the browser sending the file to
+ * the sandbox ('receiving'), then the sandbox streaming it to Conga Sign
+ * ('forwarding'), until it is 'complete' or 'failed'
+ */
+class UploadProgress {
+  /**
+   * Start tracking an upload
+   * @param {string} uploadId - ID chosen by the client
+   * @param {Object} details - Upload details
+   * @param {string} [details.transactionId] - Transaction the documents are added to
+   * @param {number} [details.totalBytes] - Size of the request body, from Content-Length
+   */
+  start(uploadId, { transactionId = null, totalBytes = null } = {}) {
+    this.prune();
+    uploads.set(uploadId, {
+      id: uploadId,
+      transactionId,
+      phase: 'receiving',
+      received: 0,
+      requestSize: totalBytes,
+      files: [],
+      error: null,
+      started: new Date().toISOString(),
+      finished: null
+    });
+  }
+
+  /**
+   * Count bytes received from the client
+   * @param {string} uploadId - Upload ID
+   * @param {number} bytes - Bytes in the chunk just received
+   */
+  receive(uploadId, bytes) {
+    const upload = uploads.get(uploadId);
+    if (upload) {
+      upload.received += bytes;
+    }
+  }
+
+  /**
+   * Switch to forwarding the received files to Conga Sign
+   * @param {string} uploadId - Upload ID
+   * @param {Array<Object>} files - Received files (multer)
+   */
+  forward(uploadId, files) {
+    const upload = uploads.get(uploadId);
+    if (upload) {
+      upload.phase = 'forwarding';
+      upload.files = files.map(file => ({ path: file.path, name: file.originalname, size: file.size, sent: 0 }));
+    }
+  }
+
+  /**
+   * Record how much of a file has been sent to Conga Sign
+   * @param {string} uploadId - Upload ID
+   * @param {Object} file - File being sent (multer)
+   * @param {number} sent - Bytes of the file sent so far
+   */
+  send(uploadId, file, sent) {
+    const upload = uploads.get(uploadId);
+    const tracked = upload && upload.files.find(f => f.path === file.path);
+    if (tracked) {
+      tracked.sent = sent;
+    }
+  }
+
+  /**
+   * Mark an upload as finished. The first outcome recorded is kept.
+   * @param {string} uploadId - Upload ID
+   * @param {Error} [error] - Why the upload failed, if it did
+   */
+  finish(uploadId, error = null) {
+    const upload = uploads.get(uploadId);
+    if (upload && !upload.finished) {
+      upload.phase = error ? 'failed' : 'complete';
+      upload.error = error ? error.message : null;
+      upload.finished = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Get the progress of an upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Object|null} Progress with percentages for each leg, or null if unknown
+   */
+  get(uploadId) {
+    const upload = uploads.get(uploadId);
+    if (!upload) {
+      return null;
+    }
+
+    const fileBytes = upload.files.reduce((total, file) => total + file.size, 0);
+    const sentBytes = upload.files.reduce((total, file) => total + file.sent, 0);
+
+    return {
+      ...upload,
+      files: upload.files.map(({ name, size, sent }) => ({ name, size, sent })),
+      receivedPercent: upload.requestSize ? Math.min(100, Math.round((upload.received / upload.requestSize) * 100)) : null,
+      forwardedPercent: fileBytes ? Math.round((sentBytes / fileBytes) * 100) : 0
+    };
+  }
+
+  /**
+   * Drop uploads that finished more than FINISHED_TTL_MS ago, and uploads
+   * that started more than UNFINISHED_TTL_MS ago and never finished
+   */
+  prune() {
+    const now = Date.now();
+    for (const [uploadId, upload] of uploads) {
+      const expired = upload.finished
+        ? new Date(upload.finished).getTime() < now - FINISHED_TTL_MS
+        : new Date(upload.started).getTime() < now - UNFINISHED_TTL_MS;
+      if (expired) {
+        uploads.delete(uploadId);
+      }
+    }
+  }
+}
+
+export default UploadProgress;
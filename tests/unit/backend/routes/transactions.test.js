@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Mock the fetch module; every call to Conga Sign fails to connect
+vi.mock('node-fetch', () => ({
+  default: vi.fn(async () => {
+    throw new Error('connect ECONNREFUSED 127.0.0.1:443');
+  })
+}));
+
+/**
+ * Write the sandbox configuration, without retries so failures are reported at once
+ */
+function writeConfig(dataDir, credentials = {}) {
+  fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify({
+    region: 'us',
+    uploadLimitMb: 1,
+    ...credentials,
+    retryPolicy: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 }
+  }));
+}
+
+describe('transactions routes', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conga-routes-'));
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    // The router's services read their files from the data directory when they are created
+    process.env.CONGA_DATA_DIR = dataDir;
+    process.env.CONGA_CONFIG_KEY = 'routes-test-passphrase';
+    writeConfig(dataDir);
+    const { default: router } = await import('../../../../src/backend/routes/transactions.js');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/transactions', router);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/transactions`;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    vi.restoreAllMocks();
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.CONGA_DATA_DIR;
+    delete process.env.CONGA_CONFIG_KEY;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('should answer 404 for an unknown transaction while the API client is not configured', async () => {
+    const response = await fetch(`${baseUrl}/unknown-id`);
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'Transaction not found' });
+  });
+
+  it('should answer 404 when adding a signer to an unknown transaction', async () => {
+    const response = await fetch(`${baseUrl}/unknown-id/signers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' })
+    });
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ error: 'Transaction not found: unknown-id' });
+  });
+
+  it('should answer 400 for a package definition that is not an object', async () => {
+    const response = await fetch(`${baseUrl}/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ package: 'null' })
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body).toMatchObject({ error: 'Failed to create package: Package definition must be an object', step: 'validate' });
+  });
+
+  it('should mark an upload the size limit rejects as failed', async () => {
+    // Built by hand: the test environment's FormData is not one fetch can send
+    const boundary = 'upload-boundary';
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="document-0"; filename="large.pdf"\r\n` +
+        'Content-Type: application/pdf\r\n\r\n'),
+      Buffer.alloc(2 * 1024 * 1024),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const response = await fetch(`${baseUrl}/complete?uploadId=too-big`, {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+      body
+    });
+    expect(response.status).toBe(413);
+
+    const progress = await (await fetch(`${baseUrl}/uploads/too-big`)).json();
+    expect(progress.upload).toMatchObject({ phase: 'failed', error: 'File too large' });
+    expect(progress.upload.finished).not.toBeNull();
+  });
+
+  it('should answer 502 for an unknown transaction when Conga Sign cannot be reached', async () => {
+    writeConfig(dataDir, { clientId: 'client-id', clientSecret: 'client-secret', platformEmail: 'sender@example.com', initialized: true });
+
+    const response = await fetch(`${baseUrl}/unknown-id`);
+    const body = await response.json();
+
+    expect(response.status).toBe(502);
+    expect(body.error).toContain('ECONNREFUSED');
+    expect(body.upstream).toMatchObject({ status: null });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import BulkSendManager, { parseCsv } from '../../../../src/backend/services/BulkSendManager.js';
+
+/**
+ * Build a stand-in for TransactionManager that records the packages it creates
+ */
+function createMockTransactionManager() {
+  let nextId = 1;
+  let active = 0;
+
+  const manager = {
+    maxActive: 0,
+    createCompletePackage: vi.fn(async (definition) => {
+      active++;
+      manager.maxActive = Math.max(manager.maxActive, active);
+      const id = `pkg-${nextId++}`;
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+
+      if (definition.signers[0].email === 'bounce@example.com') {
+        const error = new Error('Failed to build package at step "send": Invalid signer email');
+        error.packageId = id;
+        error.rolledBack = true;
+        throw error;
+      }
+      return { id, ...definition, status: 'SENT' };
+    })
+  };
+
+  return manager;
+}
+
+describe('BulkSendManager', () => {
+  it('should parse quoted CSV values', () => {
+    const rows = parseCsv('\uFEFFname,email,note\r\n"Doe, Jane",jane@example.com,"Said ""hi""\nthen left"\r\n\r\n');
+
+    expect(rows).toEqual([
+      { name: 'Doe, Jane', email: 'jane@example.com', note: 'Said "hi"\nthen left' }
+    ]);
+  });
+
+  it('should send one package per row and report per-row results', async () => {
+    const transactionManager = createMockTransactionManager();
+    const bulkSendManager = new BulkSendManager(transactionManager);
+    const csv = [
+      'name,email,region',
+      'Jane Doe,jane@example.com,EMEA',
+      'John Smith,bounce@example.com,APAC',
+      'No Email,,APAC',
+      'Ana Lima,ana@example.com,LATAM'
+    ].join('\n');
+
+    const job = bulkSendManager.createJob({ csv, document: { originalname: 'contract.pdf' } });
+    await bulkSendManager.runJob(job, {
+      csv,
+      document: { originalname: 'contract.pdf' },
+      packageName: 'Contract for {{name}} ({{region}})',
+      concurrency: 2
+    });
+
+    const result = bulkSendManager.getJob(job.id);
+    expect(result.status).toBe('COMPLETED');
+    expect(result.succeeded).toBe(2);
+    expect(result.failed).toBe(2);
+    expect(transactionManager.maxActive).toBeLessThanOrEqual(2);
+
+    expect(result.rows[0]).toMatchObject({ status: 'SUCCESS', packageId: 'pkg-1', email: 'jane@example.com' });
+    expect(result.rows[1]).toMatchObject({ status: 'FAILED', packageId: 'pkg-2', rolledBack: true, error: 'Failed to build package at step "send": Invalid signer email' });
+    expect(result.rows[2]).toMatchObject({ status: 'FAILED', packageId: null, error: 'Missing email' });
+    expect(result.rows[3]).toMatchObject({ status: 'SUCCESS', packageId: 'pkg-3' });
+
+    expect(transactionManager.createCompletePackage).toHaveBeenCalledWith({
+      name: 'Contract for Jane Doe (EMEA)',
+      signers: [{ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' }],
+      documents: [{ fields: [{ signer: 0 }] }],
+      send: true
+    }, [{ originalname: 'contract.pdf' }]);
+  });
+});
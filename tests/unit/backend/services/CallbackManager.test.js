@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CallbackManager, { getCallbacksFilePath } from '../../../../src/backend/services/CallbackManager.js';
+
+/**
+ * Build a CallbackManager whose configuration holds the given registration
+ */
+function createCallbackManager(callbackRegistration) {
+  const apiClient = {
+    configManager: {
+      getConfig: () => ({ callbackRegistration })
+    }
+  };
+  return new CallbackManager({ apiClient }, apiClient);
+}
+
+describe('CallbackManager', () => {
+  it('should reject callbacks without the registered callback key', () => {
+    const callbackManager = createCallbackManager({ url: 'https://example.com/api/callback', authType: 'BASIC', key: 'shared-secret' });
+
+    expect(callbackManager.checkAuthorization('Basic shared-secret')).toBeNull();
+    expect(callbackManager.checkAuthorization('Basic guessed')).toContain('callback key');
+    expect(callbackManager.checkAuthorization(undefined)).toContain('callback key');
+  });
+
+  it('should only accept bearer tokens it issued to the registered OAuth client', () => {
+    const callbackManager = createCallbackManager({
+      url: 'https://example.com/api/callback',
+      authType: 'OAUTH2',
+      authentication: { clientId: 'conga', clientSecret: 'oauth-secret', authenticationServer: 'https://example.com/api/callback/token' }
+    });
+
+    expect(callbackManager.issueToken({ clientId: 'conga', clientSecret: 'wrong' })).toBeNull();
+    const { access_token: token } = callbackManager.issueToken({ clientId: 'conga', clientSecret: 'oauth-secret' });
+
+    expect(callbackManager.checkAuthorization(`Bearer ${token}`)).toBeNull();
+    expect(callbackManager.checkAuthorization('Bearer made-up-token')).toContain('bearer token');
+  });
+
+  describe('received events', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conga-callbacks-'));
+
+    afterEach(() => {
+      delete process.env.CONGA_DATA_DIR;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('should keep the events of each profile apart', () => {
+      process.env.CONGA_DATA_DIR = dataDir;
+      let activeProfile = 'default';
+      const apiClient = {
+        configManager: {
+          getActiveProfile: () => activeProfile,
+          getConfig: () => ({ callbackRegistration: null })
+        }
+      };
+      const transactionManager = { apiClient, applyCallbackEvent: () => ({ applied: false, details: 'Package not tracked' }) };
+      const callbackManager = new CallbackManager(transactionManager, apiClient);
+
+      callbackManager.receiveEvent({ name: 'PACKAGE_COMPLETE', packageId: 'pkg-1' });
+      activeProfile = 'qa';
+      expect(callbackManager.listEvents()).toEqual([]);
+      callbackManager.receiveEvent({ name: 'PACKAGE_DECLINE', packageId: 'pkg-2' });
+
+      expect(callbackManager.listEvents().map(event => event.packageId)).toEqual(['pkg-2']);
+      expect(getCallbacksFilePath('qa')).toBe(path.join(dataDir, 'callbacks-qa.json'));
+      activeProfile = 'default';
+      expect(callbackManager.listEvents().map(event => event.packageId)).toEqual(['pkg-1']);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import CallbackSimulator from '../../../../src/backend/services/CallbackSimulator.js';
+
+// Mock the fetch module
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+// Import the mocked fetch
+import fetch from 'node-fetch';
+
+const TRANSACTION = {
+  id: 'pkg-1',
+  signers: [{ role: 'Signer1', name: 'Jane Doe' }, { role: 'Signer2', name: 'John Roe' }],
+  documents: [{ id: 'doc-1' }, { id: 'doc-2' }]
+};
+
+/**
+ * Build a simulator for TRANSACTION, delivering to the given callback registration
+ */
+function createSimulator(callbackRegistration) {
+  const transactionManager = {
+    getTransactionById: vi.fn(async id => (id === TRANSACTION.id ? TRANSACTION : null))
+  };
+  const configManager = {
+    getConfig: () => ({ callbackUrl: 'https://example.com/hooks', callbackRegistration })
+  };
+  return new CallbackSimulator(transactionManager, configManager);
+}
+
+/**
+ * Build a fetch response with a text body
+ */
+function createResponse(status, body) {
+  return { ok: status >= 200 && status < 300, status, text: async () => body };
+}
+
+describe('CallbackSimulator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    new CallbackSimulator({}, {}).clearDeliveries();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should build the payload Conga Sign would post for an event', async () => {
+    const simulator = createSimulator(null);
+
+    const payload = await simulator.buildPayload({ transactionId: 'pkg-1', name: 'DOCUMENT_SIGNED', roleId: 'Signer2' });
+
+    expect(payload).toMatchObject({
+      '@class': 'com.silanis.esl.packages.event.ESLProcessEvent',
+      name: 'DOCUMENT_SIGNED',
+      packageId: 'pkg-1',
+      sessionUser: 'Signer2',
+      documentId: 'doc-1',
+      message: null
+    });
+    expect((await simulator.buildPayload({ transactionId: 'pkg-1', name: 'PACKAGE_DECLINE' })).message)
+      .toBe('Declined from the callback simulator');
+    await expect(simulator.buildPayload({ transactionId: 'pkg-1', name: 'PACKAGE_EXPLODE' }))
+      .rejects.toThrow('Unknown callback event');
+    await expect(simulator.buildPayload({ transactionId: 'missing', name: 'PACKAGE_COMPLETE' }))
+      .rejects.toThrow('Transaction not found');
+  });
+
+  it('should sign BASIC callbacks with the registered key', async () => {
+    fetch.mockResolvedValueOnce(createResponse(200, 'ok'));
+    const simulator = createSimulator({ url: 'https://example.com/basic', authType: 'BASIC', key: 'shared-secret' });
+
+    const delivery = await simulator.simulate({ transactionId: 'pkg-1', name: 'PACKAGE_COMPLETE' });
+
+    expect(delivery).toMatchObject({ url: 'https://example.com/basic', status: 200, ok: true, responseBody: 'ok', error: null });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://example.com/basic');
+    expect(options.headers.Authorization).toBe('Basic shared-secret');
+    expect(JSON.parse(options.body)).toMatchObject({ name: 'PACKAGE_COMPLETE', packageId: 'pkg-1' });
+  });
+
+  it('should sign OAUTH2 callbacks with a token from the authentication server', async () => {
+    fetch
+      .mockResolvedValueOnce(createResponse(200, JSON.stringify({ access_token: 'token-123', token_type: 'Bearer' })))
+      .mockResolvedValueOnce(createResponse(202, ''));
+    const simulator = createSimulator({
+      url: 'https://example.com/oauth',
+      authType: 'OAUTH2',
+      authentication: { clientId: 'conga', clientSecret: 'oauth-secret', authenticationServer: 'https://auth.example.com/token' }
+    });
+
+    const delivery = await simulator.simulate({ transactionId: 'pkg-1', name: 'PACKAGE_COMPLETE' });
+
+    expect(delivery.status).toBe(202);
+    const [tokenUrl, tokenOptions] = fetch.mock.calls[0];
+    expect(tokenUrl).toBe('https://auth.example.com/token');
+    expect(tokenOptions.body.toString()).toBe('grant_type=client_credentials&client_id=conga&client_secret=oauth-secret');
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token-123');
+  });
+
+  it('should give up on a callback URL that does not answer within 10 seconds', async () => {
+    vi.useFakeTimers();
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' })));
+    }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const simulator = createSimulator({ url: 'https://example.com/slow', authType: 'NO_AUTH' });
+
+    const pending = simulator.simulate({ transactionId: 'pkg-1', name: 'PACKAGE_COMPLETE' });
+    await vi.advanceTimersByTimeAsync(9999);
+    expect(simulator.listDeliveries()).toHaveLength(0);
+    await vi.advanceTimersByTimeAsync(1);
+    const delivery = await pending;
+
+    expect(delivery).toMatchObject({ status: null, ok: false, error: 'No response from https://example.com/slow within 10 seconds' });
+    expect(simulator.listDeliveries()).toEqual([delivery]);
+  });
+
+  it('should keep only the latest 100 deliveries', async () => {
+    fetch.mockImplementation(async () => createResponse(200, 'ok'));
+    const simulator = createSimulator(null);
+
+    for (let i = 1; i <= 105; i++) {
+      await simulator.simulate({ transactionId: 'pkg-1', name: 'PACKAGE_COMPLETE', message: `Delivery ${i}` });
+    }
+
+    const deliveries = simulator.listDeliveries();
+    expect(deliveries).toHaveLength(100);
+    expect(deliveries[0].payload.message).toBe('Delivery 105');
+    expect(deliveries[99].payload.message).toBe('Delivery 6');
+    expect(deliveries[0].url).toBe('https://example.com/hooks');
+  });
+});
@@ -4,26 +4,141 @@
  */
 import { describe, it, expect, vi } from 'vitest';
 
-// Setup mock for fs module
-const mockFs = {
-  existsSync: vi.fn().mockReturnValue(true),
-  mkdirSync: vi.fn(),
-  readFileSync: vi.fn().mockReturnValue('{}'),
-  writeFileSync: vi.fn()
-};
+// In-memory fs: every path maps to the same config file
+const { mockFs, files } = vi.hoisted(() => {
+  process.env.CONGA_CONFIG_KEY = 'test passphrase';
+  const files = {};
+  let modified = 0;
+  const mockFs = {
+    existsSync: vi.fn(file => file in files),
+    mkdirSync: vi.fn(),
+    readFileSync: vi.fn(file => files[file] || '{}'),
+    writeFileSync: vi.fn((file, data) => {
+      files[file] = data;
+      modified++;
+    }),
+    statSync: vi.fn(() => ({ mtimeMs: modified }))
+  };
+  return { mockFs, files };
+});
 
 // Mock modules
-vi.mock('fs', () => mockFs);
-vi.mock('path', () => ({
-  dirname: vi.fn().mockReturnValue('/mock/directory'),
-  join: vi.fn().mockReturnValue('/mock/path/config.json')
-}));
-vi.mock('url', () => ({
-  fileURLToPath: vi.fn().mockReturnValue('/mock/file.js')
-}));
+vi.mock('fs', () => ({ ...mockFs, default: mockFs }));
+vi.mock('path', () => {
+  const mockPath = {
+    dirname: vi.fn().mockReturnValue('/mock/directory'),
+    join: vi.fn().mockReturnValue('/mock/path/config.json')
+  };
+  return { ...mockPath, default: mockPath };
+});
+vi.mock('url', () => {
+  const mockUrl = {
+    fileURLToPath: vi.fn().mockReturnValue('/mock/file.js')
+  };
+  return { ...mockUrl, default: mockUrl };
+});
+
+import ConfigManager, { validateEnvironment } from '../../../../src/backend/services/ConfigManager.js';
 
 describe('ConfigManager', () => {
   it('should be testable', () => {
     expect(1 + 1).toBe(2);
   });
-});
\ No newline at end of file
+
+  it('should keep separate credentials per profile and share the other settings', () => {
+    // A config saved before profiles existed
+    files['/mock/path/config.json'] = JSON.stringify({
+      region: 'eu',
+      clientId: 'dev-client',
+      clientSecret: 'dev-secret',
+      platformEmail: 'dev@example.com',
+      accessToken: 'dev-token',
+      uploadLimitMb: 50,
+      initialized: true
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const configManager = new ConfigManager();
+    expect(configManager.getActiveProfile()).toBe('default');
+    expect(configManager.getConfig()).toMatchObject({ clientId: 'dev-client', region: 'eu' });
+
+    configManager.createProfile('qa');
+    configManager.switchProfile('qa');
+    configManager.updateConfig({ region: 'us', clientId: 'qa-client', clientSecret: 'qa-secret', platformEmail: 'qa@example.com' });
+    expect(configManager.getConfig(true)).toMatchObject({
+      activeProfile: 'qa',
+      clientId: 'qa-client',
+      accessToken: null,
+      uploadLimitMb: 50,
+      initialized: true
+    });
+
+    // Other instances follow the switch through the config file
+    const other = new ConfigManager();
+    expect(other.getConfig().clientId).toBe('qa-client');
+    other.switchProfile('default');
+    expect(configManager.getConfig(true)).toMatchObject({ clientId: 'dev-client', accessToken: 'dev-token' });
+
+    expect(configManager.listProfiles().map(profile => [profile.name, profile.active])).toEqual([['default', true], ['qa', false]]);
+    expect(() => configManager.deleteProfile('default')).toThrow('is active');
+
+    // Secrets are only stored encrypted
+    const stored = files['/mock/path/config.json'];
+    expect(stored).not.toContain('dev-secret');
+    expect(stored).not.toContain('qa-secret');
+    expect(stored).not.toContain('dev-token');
+    expect(JSON.parse(stored).profiles.qa.clientSecret).toMatch(/^enc:v1:/);
+    expect(() => configManager.createProfile('QA Team')).toThrow('Profile names must be');
+  });
+
+  it('should use a custom environment selected as the region', () => {
+    files['/mock/path/config.json'] = JSON.stringify({ region: 'us' });
+
+    const configManager = new ConfigManager();
+    configManager.saveEnvironment('staging', {
+      baseUrl: 'https://sign.staging.example.com/',
+      authUrl: 'https://login.staging.example.com',
+      coreappsUrl: 'https://coreapps.staging.example.com',
+      apiPrefix: '/sign/api/v2',
+      proxyUrl: 'http://localhost:8888'
+    });
+    expect(configManager.getAvailableRegions()).toContain('staging');
+
+    configManager.updateConfig({ region: 'staging' });
+    expect(configManager.getFullAuthUrl()).toBe('https://login.staging.example.com/api/v1/auth/connect/token');
+    expect(configManager.getFullApiUrl()).toBe('https://coreapps.staging.example.com/sign/api/v2');
+    expect(configManager.getRegionUrls()).toMatchObject({ baseUrl: 'https://sign.staging.example.com', proxyUrl: 'http://localhost:8888' });
+    expect(() => configManager.deleteEnvironment('staging')).toThrow('is used by profile "default"');
+
+    expect(validateEnvironment('eu', {})).toContain('built-in region');
+    expect(validateEnvironment('qa', { baseUrl: 'ftp://example.com' })).toContain('baseUrl must be');
+    expect(validateEnvironment('qa', {
+      baseUrl: 'https://a.example.com',
+      authUrl: 'https://b.example.com',
+      coreappsUrl: 'https://c.example.com',
+      caCertificates: 'not a certificate'
+    })).toContain('PEM encoded');
+  });
+
+  it('should keep the environments other profiles use when a profile is reset', () => {
+    files['/mock/path/config.json'] = JSON.stringify({ region: 'us' });
+
+    const configManager = new ConfigManager();
+    configManager.saveEnvironment('staging', {
+      baseUrl: 'https://sign.staging.example.com',
+      authUrl: 'https://login.staging.example.com',
+      coreappsUrl: 'https://coreapps.staging.example.com'
+    });
+    configManager.updateConfig({ region: 'staging' });
+    configManager.createProfile('qa', { copyFrom: 'default' });
+    configManager.switchProfile('qa');
+
+    expect(configManager.reset(false)).toBe(true);
+    expect(configManager.getConfig().region).toBe('us');
+
+    configManager.switchProfile('default');
+    expect(configManager.getConfig().region).toBe('staging');
+    expect(configManager.getAvailableRegions()).toContain('staging');
+    expect(configManager.getFullApiUrl()).toBe('https://coreapps.staging.example.com/api/sign/v1');
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect, vi } from 'vitest';
+import crypto from 'crypto';
+import { decryptSecrets, encryptSecrets, hasPlaintextSecrets } from '../../../../src/backend/services/ConfigSecrets.js';
+
+describe('ConfigSecrets', () => {
+  it('should encrypt every secret of a profile and decrypt it with the same key only', () => {
+    const key = crypto.randomBytes(32);
+    const profile = {
+      clientId: 'client',
+      clientSecret: 'client-secret',
+      accessToken: 'token',
+      tokenExpiry: '2025-03-27T12:00:00Z',
+      callbackRegistration: {
+        authType: 'OAUTH2',
+        authentication: { clientId: 'app', clientSecret: 'app-secret', authenticationServer: 'https://auth.example.com' }
+      }
+    };
+
+    const stored = encryptSecrets(profile, () => key);
+    expect(JSON.stringify(stored)).not.toMatch(/client-secret|app-secret|"token"/);
+    expect(stored.clientId).toBe('client');
+    expect(hasPlaintextSecrets(profile)).toBe(true);
+    expect(hasPlaintextSecrets(stored)).toBe(false);
+
+    expect(decryptSecrets(stored, () => key)).toEqual(profile);
+
+    // A different key cannot read them
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(decryptSecrets(stored, () => crypto.randomBytes(32)).clientSecret).toBeNull();
+  });
+});
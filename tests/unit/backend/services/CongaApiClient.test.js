@@ -1,5 +1,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import CongaApiClient from '../../../../src/backend/services/CongaApiClient.js';
+import CongaApiError from '../../../../src/backend/services/CongaApiError.js';
+import CongaCassette from '../../../../src/backend/services/CongaCassette.js';
+import MultipartBody from '../../../../src/backend/services/MultipartBody.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock the fetch module
 vi.mock('node-fetch', () => ({
@@ -39,10 +45,23 @@ vi.mock('../../../../src/backend/services/ConfigManager.js', () => {
       getFullAuthUrl() {
         return 'https://login-rlspreview.congacloud.com/api/v1/auth/connect/token';
       }
+
+      getRegionUrls() {
+        return {
+          baseUrl: 'https://rlspreview.congacloud.com',
+          authUrl: 'https://login-rlspreview.congacloud.com',
+          coreappsUrl: 'https://coreapps-rlspreview.congacloud.com',
+          apiPrefix: '/api/sign/v1'
+        };
+      }
       
       updateToken() {
         return true;
       }
+      
+      getRetryPolicy() {
+        return { maxRetries: 0, baseDelayMs: 0, maxDelayMs: 1000 };
+      }
     }
   };
 });
@@ -81,6 +100,7 @@ describe('CongaApiClient', () => {
     
     // Silence console output
     vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
     vi.spyOn(console, 'error').mockImplementation(() => {});
   });
   
@@ -212,6 +232,46 @@ describe('CongaApiClient', () => {
       // Execute and expect error to be propagated
       await expect(apiClient.listPackages()).rejects.toThrow('API request failed: Network error');
     });
+
+    it('should report an unreadable response as an upstream failure without a status', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.reject(new Error('Unexpected end of JSON input')),
+        headers: { get: () => 'application/json' }
+      }));
+
+      const error = await apiClient.request('/test-endpoint').catch(failure => failure);
+      expect(error).toBeInstanceOf(CongaApiError);
+      expect(error.status).toBeNull();
+      expect(error.message).toBe('API request failed: Unexpected end of JSON input');
+    });
+
+    it('should walk every page until the server runs out of packages', async () => {
+      // 5 packages served 2 at a time
+      const all = [1, 2, 3, 4, 5].map(n => ({ id: `pkg-${n}`, name: `Package ${n}` }));
+      fetch.mockImplementation(url => {
+        const params = new URL(url).searchParams;
+        const results = all.slice(Number(params.get('from')) - 1, Number(params.get('to')));
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: () => Promise.resolve({ results, count: all.length }),
+          headers: { get: () => 'application/json' }
+        });
+      });
+
+      const pages = [];
+      const ids = [];
+      for await (const apiPackage of apiClient.iteratePackages({ pageSize: 2, onPage: page => pages.push(page) })) {
+        ids.push(apiPackage.id);
+      }
+
+      expect(ids).toEqual(['pkg-1', 'pkg-2', 'pkg-3', 'pkg-4', 'pkg-5']);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(fetch.mock.calls[2][0]).toContain('from=5&to=6');
+      expect(pages[2]).toEqual({ page: 3, from: 5, to: 6, received: 1, total: 5 });
+    });
   });
   
   describe('request', () => {
@@ -281,5 +341,231 @@ describe('CongaApiClient', () => {
       // Execute and expect error
       await expect(apiClient.request('/test-endpoint')).rejects.toThrow('API request failed (404)');
     });
+    
+    it('should throw a CongaApiError with the upstream details', async () => {
+      // Setup fetch to return a Conga error body
+      fetch.mockImplementationOnce(() => 
+        Promise.resolve({
+          ok: false,
+          status: 409,
+          text: () => Promise.resolve(JSON.stringify({
+            messageKey: 'error.validation.packageNotDraft',
+            message: 'Package is SENT',
+            code: 409
+          })),
+          headers: {
+            get: () => 'application/json'
+          }
+        })
+      );
+      
+      const error = await apiClient.request('/cs-packages/pkg-1', { method: 'PUT' }).catch(err => err);
+      
+      expect(error).toBeInstanceOf(CongaApiError);
+      expect(error.status).toBe(409);
+      expect(error.code).toBe('error.validation.packageNotDraft');
+      expect(error.body).toHaveProperty('message', 'Package is SENT');
+      expect(error.endpoint).toBe('/cs-packages/pkg-1');
+      expect(error.method).toBe('PUT');
+    });
+  });
+  
+  describe('downloads', () => {
+    it('should return document downloads as a buffer with the file name', async () => {
+      fetch.mockImplementationOnce(() => 
+        Promise.resolve({
+          ok: true,
+          status: 200,
+          arrayBuffer: () => Promise.resolve(new TextEncoder().encode('%PDF-1.4').buffer),
+          headers: {
+            get: (name) => ({
+              'content-type': 'application/pdf',
+              'content-disposition': 'attachment; filename="contract.pdf"'
+            })[name.toLowerCase()] || null
+          }
+        })
+      );
+      
+      const file = await apiClient.downloadDocument('pkg-1', 'doc-1');
+      
+      expect(fetch.mock.calls[0][0]).toContain('/cs-packages/pkg-1/documents/doc-1/pdf');
+      expect(file.buffer.toString()).toBe('%PDF-1.4');
+      expect(file.contentType).toBe('application/pdf');
+      expect(file.filename).toBe('contract.pdf');
+    });
+  });
+  
+  describe('document uploads', () => {
+    it('should stream files uploaded to disk as multipart and report progress', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conga-upload-test-'));
+      const filePath = path.join(dir, 'upload');
+      fs.writeFileSync(filePath, '%PDF-1.4 scanned contract');
+      const onProgress = vi.fn();
+
+      try {
+        await apiClient.addDocument('pkg-1', {
+          path: filePath,
+          originalname: 'contract.pdf',
+          mimetype: 'application/pdf',
+          size: 25
+        }, { onProgress });
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toContain('/cs-packages/pkg-1/documents');
+        expect(options.body).toBeInstanceOf(MultipartBody);
+        expect(options.headers['Content-Type']).toBe(`multipart/form-data; boundary=${options.body.boundary}`);
+
+        const body = Buffer.from(await options.body.arrayBuffer()).toString();
+        expect(body).toContain('filename="contract.pdf"');
+        expect(body).toContain('%PDF-1.4 scanned contract');
+        expect(options.body.size).toBe(Buffer.byteLength(body));
+        expect(onProgress).toHaveBeenLastCalledWith(25, 25);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('callbacks', () => {
+    it('should register the picked events with the callback key for BASIC auth', async () => {
+      await apiClient.registerCallbacks({
+        url: 'https://example.com/api/callback',
+        events: ['PACKAGE_COMPLETE'],
+        authType: 'BASIC',
+        key: 'callback-key'
+      });
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toContain('/cs-callback');
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({
+        events: ['PACKAGE_COMPLETE'],
+        authType: 'BASIC',
+        url: 'https://example.com/api/callback',
+        key: 'callback-key'
+      });
+    });
+  });
+
+  describe('retries', () => {
+    function createErrorResponse(status, retryAfter = null) {
+      return Promise.resolve({
+        ok: false,
+        status,
+        text: () => Promise.resolve('Service unavailable'),
+        headers: {
+          get: (name) => (name.toLowerCase() === 'retry-after' ? retryAfter : 'text/plain')
+        }
+      });
+    }
+    
+    it('should retry transient failures until the request succeeds', async () => {
+      fetch
+        .mockImplementationOnce(() => createErrorResponse(503))
+        .mockImplementationOnce(() => Promise.reject(new Error('socket hang up')));
+      
+      const result = await apiClient.request('/test-endpoint', {
+        retry: { maxRetries: 2, baseDelayMs: 1 }
+      });
+      
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(result).toHaveProperty('success', true);
+    });
+    
+    it('should not resend a POST after a network error unless the call opts in', async () => {
+      fetch.mockImplementationOnce(() => Promise.reject(new Error('socket hang up')));
+
+      await expect(apiClient.request('/packages', {
+        method: 'POST',
+        body: '{}',
+        retry: { maxRetries: 2, baseDelayMs: 1 }
+      })).rejects.toThrow('socket hang up');
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      fetch.mockImplementationOnce(() => Promise.reject(new Error('socket hang up')));
+      const result = await apiClient.request('/packages', {
+        method: 'POST',
+        body: '{}',
+        retry: { maxRetries: 2, baseDelayMs: 1, retryNetworkErrors: true }
+      });
+      expect(result).toHaveProperty('success', true);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should wait for the Retry-After delay on 429 responses', async () => {
+      fetch.mockImplementationOnce(() => createErrorResponse(429, '0'));
+      const delaySpy = vi.spyOn(apiClient, 'getRetryDelay');
+      
+      await apiClient.request('/test-endpoint', { retry: { maxRetries: 1 } });
+      
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(delaySpy).toHaveReturnedWith(0);
+    });
+    
+    it('should use the global retry policy from the config manager', async () => {
+      apiClient.configManager.getRetryPolicy = () => ({ maxRetries: 1, baseDelayMs: 1, maxDelayMs: 10 });
+      fetch.mockImplementationOnce(() => createErrorResponse(502));
+      
+      await apiClient.request('/test-endpoint');
+      
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+  
+  describe('re-authentication', () => {
+    it('should fetch a new token and replay the request after a 401', async () => {
+      // Track token validity through the config manager
+      let tokenValid = true;
+      apiClient.configManager.isTokenValid = () => tokenValid;
+      apiClient.configManager.updateToken = (token) => {
+        tokenValid = Boolean(token);
+        return true;
+      };
+      
+      fetch
+        .mockImplementationOnce(() => Promise.resolve({
+          ok: false,
+          status: 401,
+          text: () => Promise.resolve('Unauthorized'),
+          headers: { get: () => 'text/plain' }
+        }))
+        .mockImplementationOnce(() => Promise.resolve({
+          ok: true,
+          status: 200,
+          json: () => Promise.resolve({ access_token: 'fresh-token', expires_in: 3600 }),
+          headers: { get: () => 'application/json' }
+        }));
+      
+      const formData = new FormData();
+      formData.append('file', new Blob(['%PDF-1.4']), 'contract.pdf');
+      
+      const result = await apiClient.request('/cs-packages/pkg-1/documents', {
+        method: 'POST',
+        body: formData
+      });
+      
+      expect(result).toHaveProperty('success', true);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      
+      // The replayed request carries the new token and the original body
+      const replayOptions = fetch.mock.calls[2][1];
+      expect(replayOptions.headers).toHaveProperty('Authorization', 'Bearer fresh-token');
+      expect(replayOptions.body).toBe(formData);
+    });
   });
-});
\ No newline at end of file
+  
+  describe('cassettes', () => {
+    it('should replay recorded Conga responses without touching the network', async () => {
+      const cassette = new CongaCassette('tests/fixtures/cassettes/package-lifecycle.json', 'replay');
+      const replayClient = new CongaApiClient({ cassette });
+      
+      const list = await replayClient.listPackages();
+      const packageId = list.results[0].id;
+      const pkg = await replayClient.getPackage(packageId);
+      
+      expect(fetch).not.toHaveBeenCalled();
+      expect(pkg.status).toBe('COMPLETED');
+      expect(pkg.roles[0].signers[0].email).toBe('j@example.com');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CongaCassette from '../../../../src/backend/services/CongaCassette.js';
+
+describe('CongaCassette', () => {
+  let cassettePath;
+  
+  beforeEach(() => {
+    cassettePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-')), 'recording.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(path.dirname(cassettePath), { recursive: true, force: true });
+  });
+  
+  it('should record scrubbed exchanges and replay them by method, path and body', async () => {
+    const realFetch = vi.fn(async () => new Response(
+      JSON.stringify({ access_token: 'real-token', expires_in: 3600 }),
+      { status: 200, headers: { 'content-type': 'application/json' } }
+    ));
+    
+    const params = new URLSearchParams();
+    params.append('grant_type', 'client_credentials');
+    params.append('client_secret', 'real-secret');
+    
+    // Record against the "real" service; the caller still sees the real token
+    const recorder = new CongaCassette(cassettePath, 'record');
+    const recorded = await recorder.wrapFetch(realFetch)('https://login.example.com/api/v1/auth/connect/token', {
+      method: 'POST',
+      body: params
+    });
+    expect((await recorded.json()).access_token).toBe('real-token');
+    
+    const fileContents = fs.readFileSync(cassettePath, 'utf8');
+    expect(fileContents).not.toContain('real-token');
+    expect(fileContents).not.toContain('real-secret');
+    
+    // Replay from another host with a different secret
+    const replayParams = new URLSearchParams();
+    replayParams.append('grant_type', 'client_credentials');
+    replayParams.append('client_secret', 'another-secret');
+    
+    const player = new CongaCassette(cassettePath, 'replay');
+    const replayed = await player.wrapFetch(realFetch)('http://localhost:3000/mock-conga/api/v1/auth/connect/token', {
+      method: 'POST',
+      body: replayParams
+    });
+    
+    expect(realFetch).toHaveBeenCalledTimes(1);
+    expect(replayed.status).toBe(200);
+    expect(await replayed.json()).toEqual({ access_token: '[SCRUBBED]', expires_in: 3600 });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describeDataDir, getEnvOverrides, parseDotEnv } from '../../../../src/backend/services/EnvConfig.js';
+
+describe('EnvConfig', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conga-env-'));
+
+  afterEach(() => {
+    ['CONGA_ENV_FILE', 'CONGA_CLIENT_ID'].forEach(name => delete process.env[name]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should take settings from the environment before the .env file', () => {
+    expect(parseDotEnv([
+      '# Sandbox settings',
+      'export CONGA_REGION=eu',
+      'CONGA_CLIENT_SECRET="s3cr#t"',
+      'CONGA_PLATFORM_EMAIL=dev@example.com # headless user',
+      'not a setting'
+    ].join('\n'))).toEqual({
+      CONGA_REGION: 'eu',
+      CONGA_CLIENT_SECRET: 's3cr#t',
+      CONGA_PLATFORM_EMAIL: 'dev@example.com'
+    });
+
+    const envFile = path.join(tempDir, '.env');
+    fs.writeFileSync(envFile, 'CONGA_REGION=eu\nCONGA_CLIENT_ID=from-dotenv\nCONGA_DATA_DIR=/srv/sandbox-data\n');
+    process.env.CONGA_ENV_FILE = envFile;
+    process.env.CONGA_CLIENT_ID = 'from-env';
+
+    expect(getEnvOverrides()).toEqual({
+      values: { region: 'eu', clientId: 'from-env' },
+      sources: { region: 'dotenv', clientId: 'env' }
+    });
+    expect(describeDataDir()).toEqual({ value: path.resolve('/srv/sandbox-data'), source: 'dotenv' });
+  });
+});
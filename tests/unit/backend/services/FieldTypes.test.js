@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { buildApiFields, describeField, getFieldType, validateField } from '../../../../src/backend/services/FieldTypes.js';
+
+describe('FieldTypes', () => {
+  it('should build Conga fields for each type with their validation', () => {
+    const [text] = buildApiFields({ type: 'TEXT', name: 'Company', required: true, pattern: '^[A-Z]', maxLength: 50 });
+    expect(text).toMatchObject({
+      type: 'INPUT',
+      subtype: 'TEXTFIELD',
+      name: 'Company',
+      validation: { required: true, pattern: '^[A-Z]', maxLength: 50 }
+    });
+    
+    const [dropdown] = buildApiFields({ type: 'DROPDOWN', options: ['Monthly', 'Yearly'], value: 'Yearly' });
+    expect(dropdown).toMatchObject({ subtype: 'LIST', value: 'Yearly', validation: { enum: ['Monthly', 'Yearly'] } });
+    
+    const radios = buildApiFields({ type: 'RADIO', group: 'plan', options: ['Basic', 'Pro'], top: 100, height: 20 });
+    expect(radios.map(field => [field.name, field.top, field.validation.group])).toEqual([['Basic', 100, 'plan'], ['Pro', 130, 'plan']]);
+    
+    const [date] = buildApiFields({ type: 'SIGNING_DATE' });
+    expect(getFieldType(date)).toBe('SIGNING_DATE');
+    expect(getFieldType(buildApiFields({ type: 'INITIALS' })[0])).toBe('INITIALS');
+    
+    expect(describeField({ type: 'TEXT', name: 'Company', required: true, maxLength: 50 }))
+      .toBe('TEXT field "Company" (required, max 50 characters)');
+  });
+  
+  it('should reject options a field type does not support', () => {
+    expect(validateField({ type: 'STAMP' })).toMatch(/Unknown field type/);
+    expect(validateField({ type: 'SIGNATURE', maxLength: 10 })).toBe('SIGNATURE fields do not support: maxLength');
+    expect(validateField({ type: 'TEXT', pattern: '([' })).toMatch(/Invalid pattern/);
+    expect(validateField({ type: 'DROPDOWN', options: [] })).toBe('DROPDOWN fields need a list of options');
+    expect(validateField({ type: 'LABEL' })).toBe('LABEL fields need a value to display');
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import http from 'http';
+import fetch from 'node-fetch';
+import HttpTrafficLog from '../../../../src/backend/services/HttpTrafficLog.js';
+
+describe('HttpTrafficLog', () => {
+  let trafficLog;
+  
+  beforeEach(() => {
+    trafficLog = new HttpTrafficLog(2);
+    trafficLog.clear();
+  });
+  
+  it('should record exchanges with credentials redacted', () => {
+    const params = new URLSearchParams();
+    params.append('grant_type', 'client_credentials');
+    params.append('client_secret', 'super-secret');
+    
+    const entry = trafficLog.record({
+      method: 'post',
+      url: 'https://login.example.com/token',
+      requestHeaders: { 'Authorization': 'Bearer abc123', 'Content-Type': 'application/x-www-form-urlencoded' },
+      requestBody: params,
+      status: 200,
+      responseBody: { access_token: 'REDACT-ME' },
+      durationMs: 42
+    });
+    
+    expect(entry.method).toBe('POST');
+    expect(entry.request.headers.Authorization).toBe('Bearer [REDACTED]');
+    expect(entry.request.body).toEqual({ grant_type: 'client_credentials', client_secret: '[REDACTED]' });
+    expect(trafficLog.getEntry(entry.id)).toBe(entry);
+  });
+  
+  it('should keep only the newest entries and filter them', () => {
+    trafficLog.record({ method: 'GET', url: '/cs-packages/1', status: 200, durationMs: 1 });
+    trafficLog.record({ method: 'PUT', url: '/cs-packages/2', status: 409, durationMs: 1 });
+    trafficLog.record({ method: 'GET', url: '/cs-packages/3', status: 500, durationMs: 1 });
+    
+    expect(trafficLog.list().map(entry => entry.url)).toEqual(['/cs-packages/3', '/cs-packages/2']);
+    expect(trafficLog.list({ status: '4xx' })).toHaveLength(1);
+    expect(trafficLog.list({ method: 'get', search: 'packages/3' })).toHaveLength(1);
+  });
+  
+  it('should attribute calls to the sandbox route being served', async () => {
+    const middleware = HttpTrafficLog.middleware();
+    
+    await new Promise(resolve => {
+      middleware({ method: 'POST', originalUrl: '/api/transactions' }, {}, () => {
+        trafficLog.record({ method: 'POST', url: '/cs-packages', status: 200, durationMs: 1 });
+        resolve();
+      });
+    });
+    
+    expect(trafficLog.list()[0].route).toBe('POST /api/transactions');
+  });
+
+  it('should log a large response body and leave it readable', async () => {
+    const packages = Array.from({ length: 800 }, (_, i) => ({ id: `pkg-${i}`, name: `Package ${i}`, status: 'SENT' }));
+    const payload = JSON.stringify({ results: packages, count: packages.length });
+    expect(payload.length).toBeGreaterThan(16 * 1024);
+
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(payload);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const received = await fetch(`http://127.0.0.1:${server.address().port}/packages`);
+      const { response, body } = await trafficLog.readResponseBody(received);
+
+      expect(body.count).toBe(800);
+      expect(response.status).toBe(200);
+      expect((await response.json()).results).toHaveLength(800);
+    } finally {
+      server.close();
+    }
+  }, 5000);
+});
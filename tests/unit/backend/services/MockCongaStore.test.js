@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import MockCongaStore from '../../../../src/backend/services/MockCongaStore.js';
+
+describe('MockCongaStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MockCongaStore();
+  });
+
+  it('should issue tokens that it later accepts', () => {
+    const response = store.issueToken('client-id', 'client-secret');
+
+    expect(response.token_type).toBe('Bearer');
+    expect(store.isTokenValid(response.access_token)).toBe(true);
+    expect(store.isTokenValid('not-a-token')).toBe(false);
+  });
+
+  it('should take a package from draft to completed', () => {
+    const pkg = store.createPackage({
+      name: 'Mock Package',
+      sender: { email: 'sender@example.com' }
+    });
+    expect(pkg.status).toBe('DRAFT');
+
+    const role = store.addRole(pkg.id, {
+      signers: [{ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' }]
+    });
+    expect(role.signers[0].id).toBe(role.id);
+
+    const document = store.addDocument(pkg.id, {
+      originalname: 'contract.pdf',
+      mimetype: 'application/pdf',
+      buffer: Buffer.from('%PDF-1.4')
+    });
+    store.addApproval(pkg.id, document.id, {
+      role: role.id,
+      fields: [{ type: 'SIGNATURE', page: 0 }]
+    });
+
+    store.updatePackage(pkg.id, { status: 'SENT' });
+    expect(store.getSigningStatus(pkg.id)).toEqual({
+      status: 'SENT',
+      signers: [{ id: role.id, email: 'jane@example.com', status: 'PENDING' }]
+    });
+
+    const signingUrl = store.getSigningUrl(pkg.id, role.id, 'http://localhost:3000/mock-conga');
+    expect(signingUrl.url).toBe(`http://localhost:3000/mock-conga/sign/${pkg.id}/${role.id}`);
+
+    store.signRole(pkg.id, role.id);
+    expect(store.getPackage(pkg.id).status).toBe('COMPLETED');
+  });
+
+  it('should list packages for the owner email', () => {
+    store.createPackage({ name: 'Mine', sender: { email: 'owner@example.com' } });
+    store.createPackage({ name: 'Theirs', sender: { email: 'other@example.com' } });
+
+    const response = store.listPackages({ ownerEmail: 'owner@example.com', from: 1, to: 100 });
+
+    expect(response.count).toBe(1);
+    expect(response.results[0].name).toBe('Mine');
+  });
+
+  it('should serve downloads for a completed package', () => {
+    const pkg = store.createPackage({ name: 'Signed', sender: { email: 'sender@example.com' } });
+    const role = store.addRole(pkg.id, { signers: [{ email: 'jane@example.com' }] });
+    const document = store.addDocument(pkg.id, {
+      originalname: 'contract.pdf',
+      mimetype: 'application/pdf',
+      buffer: Buffer.from('%PDF-1.4 contract')
+    });
+    store.updatePackage(pkg.id, { status: 'SENT' });
+    store.signRole(pkg.id, role.id);
+
+    expect(store.getDocumentFile(pkg.id, document.id).content.toString()).toBe('%PDF-1.4 contract');
+
+    const zip = store.getDocumentsZip(pkg.id);
+    expect(zip.filename).toBe('Signed.zip');
+    expect(zip.content.readUInt32LE(0)).toBe(0x04034b50);
+    expect(zip.content.includes(Buffer.from('contract.pdf'))).toBe(true);
+
+    const evidence = store.getEvidenceSummary(pkg.id);
+    expect(evidence.contentType).toBe('application/pdf');
+    expect(evidence.content.toString('latin1')).toContain('Signer: jane@example.com - COMPLETED');
+  });
+
+  it('should create packages from a template by binding its placeholder roles', () => {
+    const template = store.listPackages({ type: 'TEMPLATE' }).results[0];
+    expect(template.name).toBe('Mutual NDA');
+    expect(template.roles.every(role => role.signers.length === 0)).toBe(true);
+
+    const pkg = store.clonePackage(template.id, {
+      name: 'NDA with Acme',
+      sender: { email: 'owner@example.com' },
+      roles: template.roles.map((role, index) => ({
+        id: role.id,
+        signers: [{ firstName: 'Signer', lastName: `${index}`, email: `signer${index}@example.com` }]
+      }))
+    });
+
+    expect(pkg.type).toBe('PACKAGE');
+    expect(pkg.roles.map(role => role.signers[0].email)).toEqual(['signer0@example.com', 'signer1@example.com']);
+    expect(pkg.documents[0].approvals.map(approval => approval.role)).toEqual(pkg.roles.map(role => role.id));
+    expect(store.listPackages({ ownerEmail: 'owner@example.com' }).results[0].id).toBe(pkg.id);
+  });
+
+  it('should let signers sign in order, with parallel groups sharing an index', () => {
+    const pkg = store.createPackage({ name: 'Ordered', sender: { email: 'sender@example.com' } });
+    const first = store.addRole(pkg.id, { index: 0, signers: [{ email: 'first@example.com' }] });
+    const second = store.addRole(pkg.id, { index: 1, signers: [{ email: 'second@example.com' }] });
+    const third = store.addRole(pkg.id, { index: 2, signers: [{ email: 'third@example.com' }] });
+    store.addDocument(pkg.id, { originalname: 'contract.pdf', mimetype: 'application/pdf', buffer: Buffer.from('%PDF-1.4') });
+
+    store.updateRoleOrder(pkg.id, [{ id: third.id, index: 1 }]);
+    store.updatePackage(pkg.id, { status: 'SENT' });
+
+    store.signRole(pkg.id, first.id);
+    store.signRole(pkg.id, third.id);
+    store.signRole(pkg.id, second.id);
+    expect(store.getPackage(pkg.id).status).toBe('COMPLETED');
+  });
+});
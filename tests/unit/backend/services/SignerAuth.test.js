@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { buildApiAuth, describeSignerAuth, getSignerAuth, stripAuthAnswers, validateSignerAuth } from '../../../../src/backend/services/SignerAuth.js';
+
+describe('SignerAuth', () => {
+  it('should build Conga auth objects and keep answers out of local records', () => {
+    const sms = buildApiAuth({ method: 'SMS', phone: '+1 (514) 555-1234' });
+    expect(sms).toEqual({ scheme: 'SMS', challenges: [{ question: '+15145551234', answer: null, maskInput: false }] });
+    expect(getSignerAuth(sms)).toEqual({ method: 'SMS', phone: '+15145551234' });
+    
+    const qa = buildApiAuth({ method: 'QA', questions: [{ question: 'Favourite colour?', answer: ' Blue ', maskInput: true }] });
+    expect(qa.scheme).toBe('CHALLENGE');
+    expect(qa.challenges[0]).toEqual({ question: 'Favourite colour?', answer: 'Blue', maskInput: true });
+    expect(getSignerAuth(qa)).toEqual({ method: 'QA', questions: ['Favourite colour?'] });
+    expect(stripAuthAnswers({ signers: [{ auth: qa }] }).signers[0].auth.challenges[0].answer).toBeUndefined();
+    
+    expect(buildApiAuth(undefined)).toEqual({ scheme: 'NONE', challenges: [] });
+    expect(describeSignerAuth({ method: 'EMAIL' })).toBe('Email code');
+  });
+  
+  it('should reject invalid phone numbers and empty answers', () => {
+    expect(validateSignerAuth({ method: 'SMS', phone: '555-1234' })).toMatch(/international format/);
+    expect(validateSignerAuth({ method: 'QA', questions: [] })).toMatch(/at least one question/);
+    expect(validateSignerAuth({ method: 'QA', questions: [{ question: 'Pet?', answer: '  ' }] }))
+      .toBe('Question 1 needs both a question and an answer');
+    expect(validateSignerAuth({ method: 'FACE_ID' })).toMatch(/Unknown authentication method/);
+  });
+});
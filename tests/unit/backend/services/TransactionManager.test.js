@@ -46,16 +46,20 @@ vi.mock('../../../../src/backend/services/CongaApiClient.js', () => {
 
 // Mock fs module
 vi.mock('fs', () => {
-  const mockFiles = {};
-  
-  return {
+  const mockFs = {
     existsSync: vi.fn(() => true),
     readFileSync: vi.fn(() => JSON.stringify([])),
     writeFileSync: vi.fn(),
     mkdirSync: vi.fn()
   };
+  
+  return { ...mockFs, default: mockFs };
 });
 
+import TransactionManager from '../../../../src/backend/services/TransactionManager.js';
+import CongaApiError from '../../../../src/backend/services/CongaApiError.js';
+import NotFoundError from '../../../../src/backend/services/NotFoundError.js';
+
 // Create a simplified version of the TransactionManager for testing
 class MockTransactionManager {
   constructor() {
@@ -288,4 +292,266 @@ describe('TransactionManager', () => {
       expect(transactionManager.transactions[0].updated).not.toBe('2023-01-01T00:00:00.000Z');
     });
   });
-});
\ No newline at end of file
+  
+  describe('getTransactionById', () => {
+    it('should map the full package details when refreshing', async () => {
+      const manager = new TransactionManager();
+      manager.apiClient.getPackage = vi.fn(async () => ({
+        id: 'pkg-1',
+        name: 'Service Agreement',
+        description: 'Annual renewal',
+        status: 'SENT',
+        due: '2030-01-01T00:00:00.000Z',
+        sender: { email: 'owner@example.com', firstName: 'Olive', lastName: 'Owner' },
+        roles: [
+          {
+            id: 'role-1',
+            type: 'SIGNER',
+            index: 1,
+            signingStatus: 'SIGNED',
+            signers: [{ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' }]
+          }
+        ],
+        documents: [
+          {
+            id: 'doc-1',
+            name: 'agreement.pdf',
+            approvals: [
+              {
+                id: 'approval-1',
+                role: 'role-1',
+                signed: '2029-12-01T00:00:00.000Z',
+                fields: [{ id: 'field-1', type: 'SIGNATURE', subtype: 'FULLNAME', page: 0 }]
+              }
+            ]
+          }
+        ]
+      }));
+      
+      const transaction = await manager.getTransactionById('pkg-1', true);
+      
+      expect(manager.apiClient.getPackage).toHaveBeenCalledWith('pkg-1');
+      expect(transaction.status).toBe('SENT');
+      expect(transaction.expiry).toBe('2030-01-01T00:00:00.000Z');
+      expect(transaction.sender).toEqual({ email: 'owner@example.com', name: 'Olive Owner' });
+      expect(transaction.signers[0]).toMatchObject({
+        id: 'role-1',
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        status: 'SIGNED',
+        order: 1
+      });
+      expect(transaction.documents[0].fields[0]).toMatchObject({
+        id: 'field-1',
+        approvalId: 'approval-1',
+        roleId: 'role-1',
+        type: 'SIGNATURE'
+      });
+    });
+
+    it('should only report a transaction that is not stored locally as missing when Conga Sign has no such package', async () => {
+      const manager = new TransactionManager();
+      manager.transactions = [];
+      manager.syncFromDisk = vi.fn();
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      manager.apiClient.getPackage = vi.fn(async () => {
+        throw new CongaApiError('Package not found', { status: 404 });
+      });
+      expect(await manager.getTransactionById('pkg-9')).toBeNull();
+
+      manager.apiClient.getPackage = vi.fn(async () => {
+        throw new CongaApiError('Service unavailable', { status: 503 });
+      });
+      await expect(manager.getTransactionById('pkg-9')).rejects.toThrow('Service unavailable');
+      console.error.mockRestore();
+    });
+
+    it('should raise a NotFoundError for operations on a missing transaction', async () => {
+      const manager = new TransactionManager();
+      manager.transactions = [];
+      manager.syncFromDisk = vi.fn();
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      manager.apiClient.getPackage = vi.fn(async () => {
+        throw new CongaApiError('Package not found', { status: 404 });
+      });
+
+      const error = await manager.addSigner('pkg-9', { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' })
+        .catch(failure => failure);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.toJSON()).toEqual({ message: 'Transaction not found: pkg-9', resource: 'transaction', id: 'pkg-9' });
+      console.error.mockRestore();
+    });
+  });
+  
+  describe('createTransactionFromTemplate', () => {
+    it('should bind signers to the template placeholders and store the new package', async () => {
+      const manager = new TransactionManager();
+      manager.apiClient.getTemplate = vi.fn(async () => ({
+        id: 'template-1',
+        name: 'Mutual NDA',
+        roles: [
+          { id: 'role-a', name: 'Disclosing Party', signers: [] },
+          { id: 'role-b', name: 'Legal', signers: [{ email: 'legal@example.com' }] }
+        ]
+      }));
+      manager.apiClient.createPackageFromTemplate = vi.fn(async () => ({ id: 'pkg-2' }));
+      manager.apiClient.getPackage = vi.fn(async () => ({
+        id: 'pkg-2',
+        name: 'NDA with Acme',
+        status: 'DRAFT',
+        roles: [
+          { id: 'role-1', signers: [{ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' }] },
+          { id: 'role-2', signers: [{ email: 'legal@example.com' }] }
+        ]
+      }));
+      
+      const transaction = await manager.createTransactionFromTemplate('template-1', {
+        name: 'NDA with Acme',
+        signers: { 'role-a': { firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' } }
+      });
+      
+      const [templateId, packageData] = manager.apiClient.createPackageFromTemplate.mock.calls[0];
+      expect(templateId).toBe('template-1');
+      expect(packageData.name).toBe('NDA with Acme');
+      expect(packageData.roles).toEqual([
+        expect.objectContaining({ id: 'role-a', signers: [expect.objectContaining({ email: 'jane@example.com' })] })
+      ]);
+      expect(transaction.templateId).toBe('template-1');
+      expect(transaction.signers.map(signer => signer.email)).toEqual(['jane@example.com', 'legal@example.com']);
+      expect(transaction.history[0].action).toBe('CREATE_FROM_TEMPLATE');
+    });
+  });
+  describe('createCompletePackage', () => {
+    it('should cancel the partially built package and report the failed step', async () => {
+      const manager = new TransactionManager();
+      manager.transactions = [];
+      manager.apiClient.createPackage = vi.fn(async () => ({ id: 'pkg-3' }));
+      manager.apiClient.addSigner = vi.fn(async () => ({ signers: [{ id: 'role-1' }] }));
+      manager.apiClient.addDocument = vi.fn(async () => ({ id: 'doc-1' }));
+      manager.apiClient.addFields = vi.fn(async () => {
+        throw new Error('Field is outside the page');
+      });
+      manager.apiClient.cancelPackage = vi.fn(async () => ({}));
+      
+      const definition = {
+        name: 'Offer Letter',
+        signers: [{ firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com' }],
+        documents: [{ file: 'offer', fields: [{ signer: 'jane@example.com', page: 9 }] }],
+        send: true
+      };
+      const files = [{ fieldname: 'offer', originalname: 'offer.pdf', buffer: Buffer.from('%PDF') }];
+      
+      const error = await manager.createCompletePackage(definition, files).catch(err => err);
+      
+      expect(error.name).toBe('PackageBuildError');
+      expect(error.step).toBe('addField');
+      expect(error.index).toBe(0);
+      expect(error.packageId).toBe('pkg-3');
+      expect(error.rolledBack).toBe(true);
+      expect(manager.apiClient.addFields).toHaveBeenCalledWith('pkg-3', 'doc-1', 'role-1', [
+        expect.objectContaining({ type: 'SIGNATURE', subtype: 'FULLNAME', page: 9 })
+      ]);
+      expect(manager.apiClient.cancelPackage).toHaveBeenCalledWith('pkg-3');
+      
+      const transaction = manager.transactions.find(t => t.id === 'pkg-3');
+      expect(transaction.status).toBe('CANCELED');
+      expect(transaction.history[transaction.history.length - 1].action).toBe('ROLLBACK');
+    });
+
+    it('should reject malformed definitions before calling the API', async () => {
+      const manager = new TransactionManager();
+      manager.apiClient.createPackage = vi.fn();
+      const files = [{ fieldname: 'offer', originalname: 'offer.pdf', buffer: Buffer.from('%PDF') }];
+
+      const malformed = [
+        [null, 'Package definition must be an object'],
+        ['Offer Letter', 'Package definition must be an object'],
+        [[], 'Package definition must be an object'],
+        [{ name: 'Offer Letter', signers: { firstName: 'Jane' } }, 'Package signers must be a list'],
+        [{ name: 'Offer Letter', documents: 'offer' }, 'Package documents must be a list'],
+        [{ name: 'Offer Letter', signers: [null] }, 'Signer 1 needs a first name, last name and email'],
+        [{ name: 'Offer Letter', documents: ['offer'] }, 'Document 1 must be an object'],
+        [{ name: 'Offer Letter', documents: [{ file: 'offer', fields: {} }] }, 'Fields of document 1 must be a list'],
+        [{ name: 'Offer Letter', documents: [{ file: 'offer', fields: [null] }] }, 'Field 1 of document 1 must be an object']
+      ];
+      for (const [definition, message] of malformed) {
+        const error = await manager.createCompletePackage(definition, files).catch(err => err);
+
+        expect(error.name).toBe('PackageBuildError');
+        expect(error.step).toBe('validate');
+        expect(error.message).toBe(message);
+      }
+      expect(manager.apiClient.createPackage).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('draft editing', () => {
+    it('should rename a draft and remove a signer together with their fields', async () => {
+      const manager = new TransactionManager();
+      manager.transactions = [{
+        id: 'pkg-4',
+        name: 'Offer Letter',
+        status: 'DRAFT',
+        signers: [
+          { id: 'role-1', role: 'role-1', name: 'Jane Doe', email: 'jane@example.com' },
+          { id: 'role-2', role: 'role-2', name: 'John Roe', email: 'john@example.com' }
+        ],
+        documents: [{
+          id: 'doc-1',
+          name: 'offer.pdf',
+          fields: [
+            { id: 'field-1', approvalId: 'approval-1', roleId: 'role-1', type: 'SIGNATURE' },
+            { id: 'field-2', approvalId: 'approval-2', roleId: 'role-2', type: 'SIGNATURE' }
+          ]
+        }],
+        history: []
+      }];
+      manager.apiClient.updatePackage = vi.fn(async () => ({}));
+      manager.apiClient.deleteRole = vi.fn(async () => null);
+      
+      await manager.updateDraft('pkg-4', { name: 'Revised Offer Letter' });
+      const transaction = await manager.removeSigner('pkg-4', 'role-2');
+      
+      expect(manager.apiClient.updatePackage).toHaveBeenCalledWith('pkg-4', { name: 'Revised Offer Letter' });
+      expect(manager.apiClient.deleteRole).toHaveBeenCalledWith('pkg-4', 'role-2');
+      expect(transaction.name).toBe('Revised Offer Letter');
+      expect(transaction.signers.map(signer => signer.email)).toEqual(['jane@example.com']);
+      expect(transaction.documents[0].fields.map(field => field.id)).toEqual(['field-1']);
+      expect(transaction.history.map(entry => entry.action)).toEqual(['UPDATE', 'REMOVE_SIGNER']);
+    });
+  });
+  
+  describe('applyCallbackEvent', () => {
+    it('should update the signer and transaction status and record the event', () => {
+      const manager = new TransactionManager();
+      manager.transactions = [{
+        id: 'pkg-5',
+        name: 'Offer Letter',
+        status: 'SENT',
+        signers: [
+          { id: 'role-1', role: 'role-1', name: 'Jane Doe', email: 'jane@example.com', status: 'PENDING' },
+          { id: 'role-2', role: 'role-2', name: 'John Roe', email: 'john@example.com', status: 'PENDING' }
+        ],
+        documents: [],
+        history: []
+      }];
+      
+      const signerResult = manager.applyCallbackEvent({ name: 'SIGNER_COMPLETE', packageId: 'pkg-5', sessionUser: 'role-1' });
+      const declineResult = manager.applyCallbackEvent({
+        name: 'PACKAGE_DECLINE',
+        packageId: 'pkg-5',
+        sessionUser: 'role-2',
+        message: 'Wrong start date'
+      });
+      
+      const transaction = manager.transactions[0];
+      expect(signerResult.applied).toBe(true);
+      expect(declineResult.details).toBe('Package declined by John Roe (john@example.com): Wrong start date');
+      expect(transaction.status).toBe('DECLINED');
+      expect(transaction.signers.map(signer => signer.status)).toEqual(['COMPLETED', 'DECLINED']);
+      expect(transaction.history.map(entry => entry.action)).toEqual(['CALLBACK', 'CALLBACK']);
+    });
+  });
+});
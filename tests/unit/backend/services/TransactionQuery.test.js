@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { queryTransactions, validateTransactionQuery } from '../../../../src/backend/services/TransactionQuery.js';
+
+const transactions = [
+  {
+    id: 'txn-1',
+    name: 'Employment Contract',
+    status: 'SENT',
+    created: '2025-03-01T10:00:00Z',
+    updated: '2025-03-05T10:00:00Z',
+    signers: [{ email: 'jane@example.com' }]
+  },
+  {
+    id: 'txn-2',
+    name: 'NDA',
+    status: 'COMPLETED',
+    created: '2025-03-10T10:00:00Z',
+    updated: '2025-03-12T10:00:00Z',
+    signers: [{ email: 'john@acme.com' }]
+  },
+  {
+    id: 'txn-3',
+    name: 'Sales Contract',
+    status: 'DRAFT',
+    created: '2025-03-20T10:00:00Z',
+    updated: '2025-03-20T10:00:00Z',
+    signers: [{ email: 'jane@example.com' }, { email: 'sales@acme.com' }]
+  }
+];
+
+describe('TransactionQuery', () => {
+  it('should filter, sort and page transactions with a total of every match', () => {
+    const contracts = queryTransactions(transactions, { name: 'contract', sort: 'created', order: 'desc' });
+    expect(contracts.transactions.map(t => t.id)).toEqual(['txn-3', 'txn-1']);
+
+    expect(queryTransactions(transactions, { status: 'sent,completed' }).total).toBe(2);
+    expect(queryTransactions(transactions, { signerEmail: 'ACME' }).transactions.map(t => t.id)).toEqual(['txn-2', 'txn-3']);
+    expect(queryTransactions(transactions, { createdFrom: '2025-03-10', createdTo: '2025-03-20' }).total).toBe(2);
+
+    const secondPage = queryTransactions(transactions, { sort: 'name', page: '2', limit: '2' });
+    expect(secondPage).toMatchObject({ total: 3, page: 2, limit: 2 });
+    expect(secondPage.transactions.map(t => t.id)).toEqual(['txn-3']);
+
+    expect(validateTransactionQuery({ sort: 'signers' })).toContain('Unknown sort field');
+    expect(validateTransactionQuery({ createdFrom: 'yesterday' })).toContain('createdFrom must be a date');
+    expect(validateTransactionQuery({ limit: '0' })).toContain('limit must be a whole number');
+    expect(validateTransactionQuery({ name: ['nda', 'contract'] })).toBe('name must be given once, as text');
+    expect(validateTransactionQuery({ signerEmail: ['jane@example.com', 'john@acme.com'] })).toContain('signerEmail must be given once');
+  });
+});
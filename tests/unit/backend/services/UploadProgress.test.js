@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import UploadProgress from '../../../../src/backend/services/UploadProgress.js';
+
+describe('UploadProgress', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should drop finished uploads after 10 minutes and unfinished uploads after an hour', () => {
+    vi.useFakeTimers();
+    const uploadProgress = new UploadProgress();
+    uploadProgress.start('finished-upload');
+    uploadProgress.finish('finished-upload');
+    uploadProgress.start('abandoned-upload');
+
+    vi.advanceTimersByTime(11 * 60 * 1000);
+    uploadProgress.start('later-upload');
+    expect(uploadProgress.get('finished-upload')).toBeNull();
+    expect(uploadProgress.get('abandoned-upload')).toMatchObject({ phase: 'receiving' });
+
+    vi.advanceTimersByTime(50 * 60 * 1000);
+    uploadProgress.start('last-upload');
+    expect(uploadProgress.get('abandoned-upload')).toBeNull();
+    expect(uploadProgress.get('later-upload')).toMatchObject({ phase: 'receiving' });
+  });
+
+  it('should keep the first outcome of an upload', () => {
+    const uploadProgress = new UploadProgress();
+    uploadProgress.start('aborted-upload');
+
+    uploadProgress.finish('aborted-upload', new Error('The connection closed before the upload was received'));
+    uploadProgress.finish('aborted-upload', new Error('Unexpected end of form'));
+
+    expect(uploadProgress.get('aborted-upload')).toMatchObject({
+      phase: 'failed',
+      error: 'The connection closed before the upload was received'
+    });
+  });
+});
@@ -128,4 +128,24 @@ describe('AdminDashboard Component', () => {
     // Check that the loadTransactions method is exported and is a function
     expect(typeof component.loadTransactions).toBe('function');
   });
+
+  it('should send the filters and show the page of results', async () => {
+    fetch.mockImplementation(async () => createFetchResponse({ ...mockTransactions, total: 30, page: 1, limit: 25 }));
+
+    const { component } = render(AdminDashboard);
+    await component.loadTransactions();
+    await tick();
+
+    await fireEvent.input(screen.getByLabelText('Signer email'), { target: { value: 'john@example.com' } });
+    await fireEvent.change(screen.getByLabelText('Status'), { target: { value: 'SENT' } });
+    await fireEvent.click(screen.getByText('Apply Filters'));
+    await tick();
+    await tick();
+
+    const url = new URL(fetch.mock.calls[fetch.mock.calls.length - 1][0]);
+    expect(url.searchParams.get('signerEmail')).toBe('john@example.com');
+    expect(url.searchParams.get('status')).toBe('SENT');
+    expect(url.searchParams.get('page')).toBe('1');
+    expect(screen.getByText('Page 1 of 2 (30 transactions)')).toBeInTheDocument();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/svelte';
+import ApiConsole from '../../../../src/frontend/pages/ApiConsole.svelte';
+import { tick } from 'svelte';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function createFetchResponse(data) {
+  return { 
+    json: () => Promise.resolve(data),
+    ok: true
+  };
+}
+
+const mockEntry = {
+  id: 'entry-1',
+  timestamp: '2025-03-27T12:34:56Z',
+  route: 'POST /api/transactions',
+  method: 'POST',
+  url: 'https://coreapps.example.com/api/sign/v1/cs-packages',
+  status: 200,
+  durationMs: 120,
+  attempt: 0,
+  error: null
+};
+
+describe('ApiConsole Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    
+    fetch.mockImplementation(async (url) => {
+      if (url.endsWith('/traffic/entry-1')) {
+        return createFetchResponse({
+          entry: {
+            ...mockEntry,
+            request: { headers: { Authorization: 'Bearer [REDACTED]' }, body: { name: 'Contract' } },
+            response: { headers: {}, body: { id: 'pkg-1' } }
+          }
+        });
+      }
+      return createFetchResponse({ entries: [mockEntry], count: 1 });
+    });
+  });
+  
+  it('should list recorded exchanges and show their details', async () => {
+    const { component } = render(ApiConsole);
+    
+    await component.loadEntries();
+    await tick();
+    
+    expect(screen.getByText('API Console')).toBeInTheDocument();
+    expect(screen.getByText('via POST /api/transactions')).toBeInTheDocument();
+    
+    await fireEvent.click(screen.getByTitle(mockEntry.url));
+    await tick();
+    await tick();
+    
+    expect(screen.getByText('Request Body')).toBeInTheDocument();
+    expect(screen.getByText(/Bearer \[REDACTED\]/)).toBeInTheDocument();
+  });
+});
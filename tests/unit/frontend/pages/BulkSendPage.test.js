@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/svelte';
+import BulkSendPage from '../../../../src/frontend/pages/BulkSendPage.svelte';
+import { tick } from 'svelte';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function createFetchResponse(data) {
+  return { 
+    json: () => Promise.resolve(data),
+    ok: true
+  };
+}
+
+const mockJob = {
+  id: 'job-1',
+  status: 'COMPLETED',
+  documentName: 'contract.pdf',
+  total: 2,
+  succeeded: 1,
+  failed: 1,
+  created: '2025-03-27T12:34:56Z',
+  finished: '2025-03-27T12:35:10Z'
+};
+
+describe('BulkSendPage Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    
+    fetch.mockImplementation(async (url) => {
+      if (url.endsWith('/bulk-send/job-1')) {
+        return createFetchResponse({
+          job: {
+            ...mockJob,
+            rows: [
+              { row: 1, name: 'Jane Doe', email: 'jane@example.com', status: 'SUCCESS', packageId: 'pkg-1', error: null },
+              { row: 2, name: 'John Smith', email: 'john@example', status: 'FAILED', packageId: 'pkg-2', error: 'Invalid signer email' }
+            ]
+          }
+        });
+      }
+      return createFetchResponse({ jobs: [mockJob] });
+    });
+  });
+  
+  it('should show per-row results of a bulk send job', async () => {
+    const { component } = render(BulkSendPage);
+    
+    await component.loadJobs();
+    await component.loadJob('job-1');
+    await tick();
+    
+    expect(screen.getByText('Bulk Send')).toBeInTheDocument();
+    expect(screen.getByText('pkg-1')).toBeInTheDocument();
+    expect(screen.getByText('Invalid signer email')).toBeInTheDocument();
+    expect(screen.getByText(/1\/2 sent/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/svelte';
+import CallbackSimulator from '../../../../src/frontend/pages/CallbackSimulator.svelte';
+import { tick } from 'svelte';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function createFetchResponse(data) {
+  return {
+    json: () => Promise.resolve(data),
+    ok: true
+  };
+}
+
+const mockTransaction = {
+  id: 'pkg-1',
+  name: 'Employment Contract',
+  status: 'SENT',
+  signers: [{ role: 'role-1', name: 'Jane Doe', email: 'jane@example.com' }],
+  documents: []
+};
+
+const mockDelivery = {
+  id: 'delivery-1',
+  sent: '2025-03-27T12:34:56Z',
+  url: 'https://example.com/hooks/conga',
+  authType: 'BASIC',
+  payload: {
+    '@class': 'com.silanis.esl.packages.event.ESLProcessEvent',
+    name: 'SIGNER_COMPLETE',
+    sessionUser: 'role-1',
+    packageId: 'pkg-1',
+    documentId: null,
+    message: null,
+    createdDate: '2025-03-27T12:34:56Z'
+  },
+  status: 202,
+  ok: true,
+  responseBody: 'accepted',
+  durationMs: 12,
+  error: null
+};
+
+describe('CallbackSimulator Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(async (url, options = {}) => {
+      if (url.endsWith('/transactions')) {
+        return createFetchResponse({ transactions: [mockTransaction] });
+      }
+      if (options.method === 'POST') {
+        return createFetchResponse({ delivery: mockDelivery });
+      }
+      return createFetchResponse({
+        target: { url: 'https://example.com/hooks/conga', authType: 'BASIC', events: ['SIGNER_COMPLETE'] },
+        events: [{ name: 'SIGNER_COMPLETE', label: 'Signer completed', signer: true, document: false }],
+        deliveries: []
+      });
+    });
+  });
+
+  it('should send a callback for a transaction and show the target response', async () => {
+    const { component } = render(CallbackSimulator);
+
+    await component.loadSimulator();
+    await tick();
+
+    expect(screen.getByText('https://example.com/hooks/conga')).toBeInTheDocument();
+    expect(screen.getByText('Jane Doe (jane@example.com)')).toBeInTheDocument();
+
+    await fireEvent.click(screen.getByText('Send Callback'));
+    await tick();
+    await tick();
+
+    const request = fetch.mock.calls.find(([, options]) => options && options.method === 'POST');
+    expect(JSON.parse(request[1].body)).toMatchObject({ transactionId: 'pkg-1', name: 'SIGNER_COMPLETE' });
+    expect(screen.getByText('accepted')).toBeInTheDocument();
+    expect(screen.getByText(/"sessionUser": "role-1"/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/svelte';
+import CallbacksPage from '../../../../src/frontend/pages/CallbacksPage.svelte';
+import { tick } from 'svelte';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function createFetchResponse(data) {
+  return { 
+    json: () => Promise.resolve(data),
+    ok: true
+  };
+}
+
+const mockEvent = {
+  id: 'event-1',
+  received: '2025-03-27T12:34:56Z',
+  name: 'SIGNER_COMPLETE',
+  packageId: 'pkg-1',
+  sessionUser: 'role-1',
+  documentId: null,
+  message: null,
+  createdDate: '2025-03-27T12:34:55Z',
+  known: true,
+  applied: true,
+  outcome: 'Signer completed by Jane Doe (jane@example.com)',
+  payload: { name: 'SIGNER_COMPLETE', packageId: 'pkg-1', sessionUser: 'role-1' }
+};
+
+describe('CallbacksPage Component', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+    fetch.mockImplementation(async () => createFetchResponse({ events: [mockEvent], count: 1 }));
+  });
+  
+  it('should list received callbacks and show their payload', async () => {
+    const { component } = render(CallbacksPage);
+    
+    await component.loadEvents();
+    await tick();
+    
+    expect(screen.getByText('Callbacks')).toBeInTheDocument();
+    expect(screen.getByText('Signer completed by Jane Doe (jane@example.com)')).toBeInTheDocument();
+    
+    await fireEvent.click(screen.getByTitle('pkg-1'));
+    await tick();
+    
+    expect(screen.getByText('Payload')).toBeInTheDocument();
+    expect(screen.getByText(/"sessionUser": "role-1"/)).toBeInTheDocument();
+  });
+});